@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * md2wa - Convert Markdown (or HTML) files, or stdin, to WhatsApp format.
+ *
+ * Usage:
+ *   md2wa [options] [file ...]
+ *
+ * Reads stdin when no file (or "-") is given. Output goes to stdout, to a
+ * single file (--output) or to one .txt file per input (--out-dir).
+ * With --check nothing is written: the exit code is 1 when any output would
+ * differ from the existing .txt file.
+ */
+
+const { readFileSync, writeFileSync, existsSync, mkdirSync } = require('fs');
+const { join, dirname, basename, extname, resolve } = require('path');
+const {
+    convertTextToWhatsappWithReport,
+    HEADER_EMOJIS,
+    HEADING_THEMES,
+    ORDERED_NUMBERING_SCHEMES,
+    OUTPUT_TARGETS,
+    OPTION_VALUES
+} = require('../docs/script.js');
+
+// =================================================================================================
+// ARGUMENT PARSING
+// =================================================================================================
+
+/**
+ * Parse a heading emoji spec: "none", or "1=🚀,2=🟠,..." (unlisted levels keep their default).
+ * @param {string} value - Flag value
+ * @returns {Record<number, string>} Emoji per heading level
+ */
+function parseHeaderEmojis(value) {
+    if (value === 'none') {
+        return { 1: '', 2: '', 3: '', 4: '', 5: '', 6: '' };
+    }
+    const emojis = { ...HEADER_EMOJIS };
+    for (const pair of value.split(',')) {
+        const [level, emoji = ''] = pair.split('=');
+        emojis[level.trim()] = emoji.trim();
+    }
+    return emojis;
+}
+
+/**
+ * Parse a heading theme: a built-in theme name, or a JSON file holding a custom theme.
+ * @param {string} value - Flag value
+ * @returns {string|Object} Theme name or theme object
+ */
+function parseHeadingTheme(value) {
+    if (HEADING_THEMES[value]) {
+        return value;
+    }
+    if (!value.endsWith('.json')) {
+        throw new Error(`expected one of ${Object.keys(HEADING_THEMES).join(', ')} or a .json file, got "${value}"`);
+    }
+    return JSON.parse(readFileSync(value, 'utf-8'));
+}
+
+/**
+ * Parse callout titles: "warning=🔥 Heads up,tip=👉" sets the emoji and, after a space,
+ * the label of each listed alert type (unlisted types and labels keep their default).
+ * @param {string} value - Flag value
+ * @returns {Record<string, {emoji: string, label?: string}>} Style per alert type
+ */
+function parseAlerts(value) {
+    const alerts = {};
+    for (const pair of value.split(',')) {
+        const [kind, spec = ''] = pair.split('=');
+        const [emoji, ...label] = spec.trim().split(' ');
+        alerts[kind.trim().toLowerCase()] = label.length > 0 ? { emoji, label: label.join(' ') } : { emoji };
+    }
+    return alerts;
+}
+
+/**
+ * Parse a list of numbered list schemes, one per nesting depth: "decimal,letter,roman".
+ * @param {string} value - Flag value
+ * @returns {Array<string>} Scheme per depth
+ */
+function parseNumbering(value) {
+    const schemes = value.split(',').map(scheme => scheme.trim());
+    const unknown = schemes.find(scheme => !ORDERED_NUMBERING_SCHEMES.includes(scheme));
+    if (unknown !== undefined) {
+        throw new Error(`expected a comma-separated list of ${ORDERED_NUMBERING_SCHEMES.join(', ')}, got "${unknown}"`);
+    }
+    return schemes;
+}
+
+/**
+ * Parse a non-negative integer flag value.
+ * @param {string} value - Flag value
+ * @returns {number} Parsed number
+ */
+function parseCount(value) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number) || number < 0) {
+        throw new Error(`expected a number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse an on/off flag value.
+ * @param {string} value - Flag value
+ * @returns {boolean} Parsed switch
+ */
+function parseSwitch(value) {
+    if (['on', 'true', 'yes'].includes(value)) return true;
+    if (['off', 'false', 'no'].includes(value)) return false;
+    throw new Error(`expected on or off, got "${value}"`);
+}
+
+/**
+ * Load extension hooks from a CommonJS module exporting { extensions, block, inline }
+ * (see resolveHooks() in docs/script.js). Relative paths start at the working directory.
+ * @param {string} value - Flag value
+ * @returns {Object} Hooks
+ */
+function parseHooks(value) {
+    let hooks;
+    try {
+        hooks = require(resolve(value));
+    } catch (err) {
+        throw new Error(`cannot load "${value}": ${err.message.split('\n')[0]}`);
+    }
+    if (!hooks || typeof hooks !== 'object') {
+        throw new Error(`expected a module exporting an object, got "${value}"`);
+    }
+    return hooks;
+}
+
+/**
+ * Build a parser accepting only the given values.
+ * @param {Array<string>} allowed - Valid values
+ * @param {Record<string, string>} aliases - Alternative names mapped to converter values
+ * @returns {function(string): string} Value parser
+ */
+function oneOf(allowed, aliases = {}) {
+    return (value) => {
+        const resolved = aliases[value] || value;
+        if (!allowed.includes(resolved)) {
+            throw new Error(`expected one of ${[...allowed, ...Object.keys(aliases)].join(', ')}, got "${value}"`);
+        }
+        return resolved;
+    };
+}
+
+/**
+ * Command-line flags mapped to converter options (see DEFAULT_OPTIONS in docs/script.js).
+ * @type {Record<string, {option: string, parse: function(string): *, help: string}>}
+ */
+const OPTION_FLAGS = {
+    '--input-format': {
+        option: 'inputFormat',
+        parse: oneOf(OPTION_VALUES.inputFormat),
+        help: 'markdown | html (default: html for .html/.htm files, else markdown)'
+    },
+    '--target': {
+        option: 'target',
+        parse: oneOf(Object.keys(OUTPUT_TARGETS)),
+        help: `${Object.keys(OUTPUT_TARGETS).join(' | ')}: chat app to format for (default: whatsapp)`
+    },
+    '--profile': {
+        option: 'profile',
+        parse: oneOf(OPTION_VALUES.profile),
+        help: 'legacy | modern (native WhatsApp lists/quotes; default: legacy)'
+    },
+    '--table-format': {
+        option: 'tableFormat',
+        parse: oneOf(OPTION_VALUES.tableFormat, { list: 'always' }),
+        help: 'auto | ascii | list (default: auto)'
+    },
+    '--table-threshold': {
+        option: 'tableThreshold',
+        parse: parseCount,
+        help: 'Max ASCII table width in auto mode (default: 26)'
+    },
+    '--table-wrap': {
+        option: 'tableWrap',
+        parse: parseSwitch,
+        help: 'on | off: wrap wide cells before falling back to a list (default: on)'
+    },
+    '--table-border': {
+        option: 'tableBorder',
+        parse: oneOf(OPTION_VALUES.tableBorder),
+        help: 'ascii (+-|) | unicode (┌─┐) | rounded (╭─╮) (default: ascii)'
+    },
+    '--header-emojis': {
+        option: 'headerEmojis',
+        parse: parseHeaderEmojis,
+        help: '"none" or per-level list, e.g. "1=🚀,2=🔹"'
+    },
+    '--heading-theme': {
+        option: 'headingTheme',
+        parse: parseHeadingTheme,
+        help: 'emoji | plain | ruled | outline | text | theme.json'
+    },
+    '--number-headings': {
+        option: 'numberHeadings',
+        parse: parseSwitch,
+        help: 'on | off: prefix headings with 1, 1.1, 1.1.1 (default: off)'
+    },
+    '--number-headings-from': {
+        option: 'numberHeadingsFrom',
+        parse: parseCount,
+        help: 'Shallowest numbered heading level (default: 1)'
+    },
+    '--toc': {
+        option: 'tableOfContents',
+        parse: parseSwitch,
+        help: 'on | off: start with a table of contents (default: off)'
+    },
+    '--toc-title': {
+        option: 'tableOfContentsTitle',
+        parse: String,
+        help: 'Title of the table of contents (default: Contents)'
+    },
+    '--link-style': {
+        option: 'linkStyle',
+        parse: oneOf(OPTION_VALUES.linkStyle),
+        help: 'inline ("text (url)") | reference ("text [1]") | url | text (default: inline)'
+    },
+    '--links-title': {
+        option: 'linksTitle',
+        parse: String,
+        help: 'Title of the link list in reference style (default: Links)'
+    },
+    '--footnote-style': {
+        option: 'footnoteStyle',
+        parse: oneOf(OPTION_VALUES.footnoteStyle),
+        help: 'superscript ("text¹") | brackets ("text[1]") (default: superscript)'
+    },
+    '--notes-title': {
+        option: 'notesTitle',
+        parse: String,
+        help: 'Title of the footnotes section (default: Notes)'
+    },
+    '--neutralize': {
+        option: 'neutralizeStrayMarkers',
+        parse: parseSwitch,
+        help: 'on | off: swap stray * _ ~ ` for look-alikes (default: on)'
+    },
+    '--emoji': {
+        option: 'emojiShortcodes',
+        parse: parseSwitch,
+        help: 'on | off: replace :shortcode: names with emoji (default: on)'
+    },
+    '--hooks': {
+        option: 'hooks',
+        parse: parseHooks,
+        help: 'Module exporting marked extensions and render overrides (hooks.js)'
+    },
+    '--bullet': {
+        option: 'bullet',
+        parse: String,
+        help: 'Marker for unordered list items (default: *)'
+    },
+    '--nested-bullet': {
+        option: 'nestedBullet',
+        parse: String,
+        help: 'Marker added per nesting level (default: ◦)'
+    },
+    '--ordered-numbering': {
+        option: 'orderedNumbering',
+        parse: parseNumbering,
+        help: 'Numbering per depth, e.g. "decimal,letter,roman" (also outline, upper-letter, upper-roman, keycap)'
+    },
+    '--alerts': {
+        option: 'alerts',
+        parse: parseAlerts,
+        help: 'Callout emoji and label per type, e.g. "warning=🔥 Heads up,tip=👉"'
+    },
+    '--task-checked': {
+        option: 'taskChecked',
+        parse: String,
+        help: 'Marker for checked tasks (default: ☑)'
+    },
+    '--task-unchecked': {
+        option: 'taskUnchecked',
+        parse: String,
+        help: 'Marker for unchecked tasks (default: ☐)'
+    },
+    '--hr': {
+        option: 'hr',
+        parse: String,
+        help: 'Replacement for horizontal rules'
+    }
+};
+
+const USAGE = `Usage: md2wa [options] [file ...]
+
+Convert Markdown to WhatsApp format. Reads stdin when no file (or "-") is given.
+
+Output:
+  -o, --output <file>           Write to a file instead of stdout (single input only)
+  -d, --out-dir <dir>           Write one <name>.txt per input file into <dir>
+  --check                       Write nothing; exit 1 if any output differs from the
+                                existing .txt file (--output, --out-dir, or the .txt
+                                next to each input)
+  --diagnostics                 Print lossy conversions to stderr as file:line: message
+
+Conversion:
+${Object.entries(OPTION_FLAGS).map(([flag, { help }]) => `  ${(flag + ' <value>').padEnd(30)}${help}`).join('\n')}
+
+  -h, --help                    Show this help
+`;
+
+/**
+ * Parse command-line arguments.
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {{files: Array<string>, output: ?string, outDir: ?string, check: boolean, diagnostics: boolean, help: boolean, options: Object}}
+ */
+function parseArgs(argv) {
+    const args = { files: [], output: null, outDir: null, check: false, diagnostics: false, help: false, options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        // Support --flag=value as well as --flag value
+        const [arg, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--check') {
+            args.check = true;
+        } else if (arg === '--diagnostics') {
+            args.diagnostics = true;
+        } else if (arg === '-o' || arg === '--output') {
+            args.output = takeValue();
+        } else if (arg === '-d' || arg === '--out-dir') {
+            args.outDir = takeValue();
+        } else if (OPTION_FLAGS[arg]) {
+            const { option, parse } = OPTION_FLAGS[arg];
+            try {
+                args.options[option] = parse(takeValue());
+            } catch (err) {
+                throw new Error(`${arg}: ${err.message}`);
+            }
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`unknown option ${arg}`);
+        } else {
+            args.files.push(arg);
+        }
+    }
+
+    if (args.output && args.outDir) {
+        throw new Error('--output and --out-dir cannot be used together');
+    }
+    if (args.output && args.files.length > 1) {
+        throw new Error('--output accepts a single input; use --out-dir for several files');
+    }
+
+    return args;
+}
+
+// =================================================================================================
+// MAIN
+// =================================================================================================
+
+/**
+ * Work out where the converted text for an input goes.
+ * @param {string} file - Input path, or "-" for stdin
+ * @param {Object} args - Parsed arguments
+ * @returns {?string} Output path, or null for stdout
+ */
+function targetPath(file, args) {
+    if (args.output) {
+        return args.output;
+    }
+    if (args.outDir) {
+        const name = file === '-' ? 'stdin' : basename(file, extname(file));
+        return join(args.outDir, name + '.txt');
+    }
+    if (args.check && file !== '-') {
+        return join(dirname(file), basename(file, extname(file)) + '.txt');
+    }
+    return null;
+}
+
+/**
+ * Run the CLI.
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        process.stderr.write(`md2wa: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const files = args.files.length > 0 ? args.files : ['-'];
+    let differences = 0;
+
+    for (const file of files) {
+        const input = readFileSync(file === '-' ? 0 : file, 'utf-8');
+        const options = { ...args.options };
+        if (!options.inputFormat && /\.html?$/i.test(file)) {
+            options.inputFormat = 'html';
+        }
+        const { text: converted, diagnostics } = convertTextToWhatsappWithReport(input, options);
+        const target = targetPath(file, args);
+
+        if (args.diagnostics) {
+            for (const { line, severity, message } of diagnostics) {
+                process.stderr.write(`${file === '-' ? '<stdin>' : file}:${line}: ${severity}: ${message}\n`);
+            }
+        }
+
+        if (args.check) {
+            if (!target) {
+                process.stderr.write('md2wa: --check needs --output or --out-dir when reading stdin\n');
+                return 2;
+            }
+            const existing = existsSync(target) ? readFileSync(target, 'utf-8').trimEnd() : null;
+            if (existing !== converted) {
+                process.stdout.write(`${existing === null ? 'missing' : 'differs'}: ${target}\n`);
+                differences++;
+            }
+        } else if (target) {
+            mkdirSync(dirname(target), { recursive: true });
+            writeFileSync(target, converted + '\n');
+        } else {
+            process.stdout.write(converted + '\n');
+        }
+    }
+
+    return differences > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`md2wa: ${err.message}\n`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { main, parseArgs };
@@ -15,14 +15,209 @@ const HEADER_EMOJIS = {
     6: '⚫️'
 };
 
+/**
+ * Emoji and label of each alert type, shown as the callout title (see renderAlert()).
+ * The first five are GitHub's alert types (> [!WARNING]); the others are common
+ * :::container types.
+ * @type {Record<string, {emoji: string, label: string}>}
+ */
+const ALERT_STYLES = {
+    note: { emoji: 'ℹ️', label: 'Note' },
+    tip: { emoji: '💡', label: 'Tip' },
+    important: { emoji: '❗', label: 'Important' },
+    warning: { emoji: '⚠️', label: 'Warning' },
+    caution: { emoji: '🛑', label: 'Caution' },
+    info: { emoji: 'ℹ️', label: 'Info' },
+    danger: { emoji: '🚨', label: 'Danger' },
+    success: { emoji: '✅', label: 'Success' }
+};
+
+/**
+ * Look of a single heading level. Themes set any subset of these per level.
+ * @type {Object}
+ * @property {boolean} emoji - Prefix the level's emoji from the headerEmojis option
+ * @property {string} prefix - Text placed before the heading (after the emoji)
+ * @property {string} suffix - Text placed after the heading
+ * @property {string} case - 'none' | 'upper' | 'lower' | 'title'
+ * @property {string} emphasis - 'bold' | 'italic' | 'bold-italic' | 'none'
+ * @property {string} rule - Line placed under the heading ('' for none)
+ * @property {string} spacing - 'compact' (no blank line before the following block) |
+ *   'normal' | 'loose' (extra blank line before the heading)
+ */
+const HEADING_STYLE_DEFAULTS = {
+    emoji: false,
+    prefix: '',
+    suffix: '',
+    case: 'none',
+    emphasis: 'bold',
+    rule: '',
+    spacing: 'normal'
+};
+
+/**
+ * Built-in heading themes, selected by name with the headingTheme option.
+ * Each theme maps heading depth to a partial style (see HEADING_STYLE_DEFAULTS);
+ * depths without an entry use the depth 6 style.
+ * A custom theme object of the same shape can be passed instead of a name.
+ * @type {Record<string, Record<number, Object>>}
+ */
+const HEADING_THEMES = {
+    emoji: {
+        6: { emoji: true }
+    },
+    plain: {
+        6: {}
+    },
+    ruled: {
+        1: { case: 'upper', rule: '━━━━━━━━━━━━━━━' },
+        2: { rule: '───────────────' },
+        6: {}
+    },
+    outline: {
+        1: { prefix: '■ ', case: 'upper' },
+        2: { prefix: '▪ ' },
+        3: { prefix: '› ', emphasis: 'italic', spacing: 'compact' },
+        6: { prefix: '· ', emphasis: 'italic', spacing: 'compact' }
+    },
+    text: {
+        6: { emphasis: 'none' }
+    }
+};
+
+/**
+ * Default conversion options. Any subset can be passed to convertTextToWhatsapp().
+ * @type {Object}
+ * @property {string} tableFormat - 'auto' | 'ascii' | 'always' (list)
+ * @property {number} tableThreshold - Max ASCII table width in auto mode
+ * @property {boolean} tableWrap - In auto mode, wrap long cells before falling back to a list
+ * @property {string} tableBorder - 'ascii' | 'unicode' | 'rounded' (see TABLE_BORDERS)
+ * @property {Record<number, string>} headerEmojis - Emoji prefix per heading level
+ * @property {string|Object} headingTheme - Name of a HEADING_THEMES entry, or a custom theme object
+ * @property {boolean} numberHeadings - Prefix headings with section numbers (1, 1.1, 1.1.1)
+ * @property {number} numberHeadingsFrom - Shallowest heading depth that is numbered (and listed in the contents)
+ * @property {boolean} tableOfContents - Start the message with a list of the headings
+ * @property {string} tableOfContentsTitle - Title of the table of contents
+ * @property {string} bullet - Marker for unordered list items
+ * @property {string} nestedBullet - Marker repeated once per nesting level
+ * @property {string|Array<string>} orderedNumbering - Numbering scheme of numbered lists, or one per
+ *   nesting depth as an array or comma-separated list (the last repeats); see ORDERED_NUMBERING_SCHEMES
+ * @property {string} taskChecked - Marker for checked task items
+ * @property {string} taskUnchecked - Marker for unchecked task items
+ * @property {string} hr - Replacement for horizontal rules
+ * @property {Record<string, {emoji: string, label: string}>} alerts - Callout title per alert type;
+ *   types or fields left out keep their ALERT_STYLES default
+ * @property {string} linkStyle - 'inline' (text (url)) | 'reference' (text [1] plus a list of links
+ *   at the end) | 'url' (url only) | 'text' (text only)
+ * @property {string} linksTitle - Title of the list of links in reference style
+ * @property {string} footnoteStyle - 'superscript' (¹) | 'brackets' ([1]) footnote markers
+ * @property {string} notesTitle - Title of the footnotes section
+ * @property {string} inputFormat - 'markdown' | 'html' (rich text, e.g. pasted from Google Docs)
+ * @property {string} target - Chat app the output is for: a key of OUTPUT_TARGETS
+ *   ('whatsapp' | 'telegram' | 'slack' | 'signal' | 'plain')
+ * @property {string} profile - 'legacy' (compatible with older clients) | 'modern' (native block syntax)
+ * @property {number} messageLimit - Max characters per message for convertTextToWhatsappMessages()
+ * @property {boolean} messageCounters - Append "(1/3)" counters to split messages
+ * @property {boolean} neutralizeStrayMarkers - Swap literal *, _, ~, ` that WhatsApp would
+ *   pair into formatting for their Unicode look-alikes
+ * @property {boolean} emojiShortcodes - Replace :shortcode: names (":rocket:") with their emoji
+ *
+ * Not part of the defaults (and so not settable from front matter):
+ * @property {Object} [hooks] - Extension hooks: marked extensions and render overrides (see resolveHooks())
+ */
+const DEFAULT_OPTIONS = {
+    tableFormat: 'auto',
+    tableThreshold: 26,
+    tableWrap: true,
+    tableBorder: 'ascii',
+    headerEmojis: HEADER_EMOJIS,
+    headingTheme: 'emoji',
+    numberHeadings: false,
+    numberHeadingsFrom: 1,
+    tableOfContents: false,
+    tableOfContentsTitle: 'Contents',
+    bullet: '*',
+    nestedBullet: '◦',
+    orderedNumbering: 'decimal',
+    taskChecked: '☑',
+    taskUnchecked: '☐',
+    hr: '───────────────',
+    alerts: ALERT_STYLES,
+    linkStyle: 'inline',
+    linksTitle: 'Links',
+    footnoteStyle: 'superscript',
+    notesTitle: 'Notes',
+    inputFormat: 'markdown',
+    target: 'whatsapp',
+    profile: 'legacy',
+    messageLimit: 4096,
+    messageCounters: false,
+    neutralizeStrayMarkers: true,
+    emojiShortcodes: true
+};
+
+/**
+ * Option defaults that depend on the output profile, applied before user options.
+ * - legacy: * bullets with ◦ depth markers, nested quotes as > >, compact ``` blocks
+ * - modern: native - / 1. lists nested by indentation, single-level > quotes,
+ *   ``` fences on their own lines
+ * @type {Record<string, Object>}
+ */
+const PROFILE_DEFAULTS = {
+    legacy: {},
+    modern: {
+        bullet: '-'
+    }
+};
+
+/**
+ * Numbering schemes for numbered lists (see orderedMarker()):
+ * decimal (1.), outline (1.2.), letter (b.), upper-letter (B.), roman (ii.), upper-roman (II.), keycap (2️⃣).
+ * @type {Array<string>}
+ */
+const ORDERED_NUMBERING_SCHEMES = ['decimal', 'outline', 'letter', 'upper-letter', 'roman', 'upper-roman', 'keycap'];
+
+/**
+ * Unicode look-alikes for WhatsApp formatting characters.
+ * Used for escaped characters so WhatsApp won't interpret them as formatting.
+ * @type {Record<string, string>}
+ */
+const LOOK_ALIKES = {
+    '*': '∗',  // U+2217 ASTERISK OPERATOR
+    '_': '＿', // U+FF3F FULLWIDTH LOW LINE
+    '~': '∼',  // U+223C TILDE OPERATOR
+    '`': 'ˋ',  // U+02CB MODIFIER LETTER GRAVE ACCENT
+};
+
+/**
+ * Unicode superscript forms, used for <sup>. Characters without one are kept as written.
+ * @type {Record<string, string>}
+ */
+const SUPERSCRIPTS = {
+    '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+    '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+    a: 'ᵃ', b: 'ᵇ', c: 'ᶜ', d: 'ᵈ', e: 'ᵉ', f: 'ᶠ', g: 'ᵍ', h: 'ʰ', i: 'ⁱ', j: 'ʲ', k: 'ᵏ', l: 'ˡ', m: 'ᵐ',
+    n: 'ⁿ', o: 'ᵒ', p: 'ᵖ', r: 'ʳ', s: 'ˢ', t: 'ᵗ', u: 'ᵘ', v: 'ᵛ', w: 'ʷ', x: 'ˣ', y: 'ʸ', z: 'ᶻ',
+    A: 'ᴬ', B: 'ᴮ', D: 'ᴰ', E: 'ᴱ', G: 'ᴳ', H: 'ᴴ', I: 'ᴵ', J: 'ᴶ', K: 'ᴷ', L: 'ᴸ', M: 'ᴹ', N: 'ᴺ',
+    O: 'ᴼ', P: 'ᴾ', R: 'ᴿ', T: 'ᵀ', U: 'ᵁ', V: 'ⱽ', W: 'ᵂ',
+    '∘': '°', 'α': 'ᵅ', 'β': 'ᵝ', 'γ': 'ᵞ', 'δ': 'ᵟ', 'ε': 'ᵋ', 'θ': 'ᶿ', 'ι': 'ᶥ', 'φ': 'ᵠ', 'χ': 'ᵡ'
+};
+
+/**
+ * Unicode subscript forms, used for <sub>. Characters without one are kept as written.
+ * @type {Record<string, string>}
+ */
+const SUBSCRIPTS = {
+    '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+    '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+    a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ', p: 'ₚ', r: 'ᵣ',
+    s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ',
+    'β': 'ᵦ', 'γ': 'ᵧ', 'ρ': 'ᵨ', 'φ': 'ᵩ', 'χ': 'ᵪ'
+};
+
 // =================================================================================================
 // MAIN CONVERSION LOGIC (using marked lexer)
 // =================================================================================================
 
-// Cached conversion options (set at start of each conversion)
-let _tableFormat = 'auto';
-let _tableThreshold = 26;
-
 /**
  * Convert Markdown into a WhatsApp-friendly format using the marked lexer
  * for proper AST-based parsing instead of regex substitutions.
@@ -40,298 +235,1109 @@ let _tableThreshold = 26;
  * - Blockquotes → > prefix preserved
  *
  * @param {string} markdownText - The Markdown input.
+ * @param {Object} [options] - Conversion options (see DEFAULT_OPTIONS)
  * @returns {string} The converted WhatsApp-compatible text.
  */
-function convertTextToWhatsapp(markdownText) {
+function convertTextToWhatsapp(markdownText, options = {}) {
     if (!markdownText.trim()) {
         return '';
     }
 
-    // Cache UI settings once at start of conversion (avoids repeated DOM queries)
-    if (typeof document !== 'undefined') {
-        _tableFormat = document.querySelector('input[name="tableFormat"]:checked')?.value || 'auto';
-        _tableThreshold = parseInt(document.getElementById('tableThreshold')?.value || '26', 10);
-    } else {
-        _tableFormat = 'auto';
-        _tableThreshold = 26;
+    const ctx = createContext(options, markdownText);
+    const tokens = lexMarkdown(ctx);
+    return renderTokens(tokens, ctx).trim();
+}
+
+/**
+ * Convert Markdown to WhatsApp format and report every lossy decision the
+ * converter made (see addDiagnostic() for the entries).
+ * @param {string} markdownText - The Markdown input.
+ * @param {Object} [options] - Conversion options (see DEFAULT_OPTIONS)
+ * @returns {{text: string, diagnostics: Array<{line: number, severity: string, code: string, message: string}>, frontMatter: Object}}
+ *   Converted text, diagnostics in source order, and the options set by the document's front matter
+ */
+function convertTextToWhatsappWithReport(markdownText, options = {}) {
+    if (!markdownText.trim()) {
+        return { text: '', diagnostics: [], frontMatter: {} };
+    }
+
+    const ctx = createContext(options, markdownText);
+    const tokens = lexMarkdown(ctx);
+    const text = renderTokens(tokens, ctx).trim();
+    const diagnostics = ctx.diagnostics.sort((a, b) => a.line - b.line);
+    return { text, diagnostics, frontMatter: ctx.frontMatter };
+}
+
+/**
+ * Create the per-conversion context passed to every renderer.
+ * Keeping all settings here (instead of module-level state) lets several
+ * conversions with different options run side by side.
+ * @param {Object} options - User-supplied options
+ * @param {string} [source] - Markdown source, read for front matter and used to report line numbers
+ * @returns {Object} Context with resolved options
+ */
+function createContext(options, source = '') {
+    source = source.replace(/\r\n?/g, '\n');
+    // Front matter describes the document, so it wins over the caller's options
+    const frontMatter = options.inputFormat === 'html'
+        ? { end: 0, settings: {}, problems: [] }
+        : parseFrontMatter(source);
+    options = { ...options, ...frontMatter.settings };
+    const target = OUTPUT_TARGETS[options.target] ? options.target : DEFAULT_OPTIONS.target;
+    const profile = PROFILE_DEFAULTS[options.profile] ? options.profile : DEFAULT_OPTIONS.profile;
+    const resolved = {
+        ...DEFAULT_OPTIONS, ...OUTPUT_TARGETS[target].defaults, ...PROFILE_DEFAULTS[profile], ...options, target, profile
+    };
+    const threshold = parseInt(resolved.tableThreshold, 10);
+    resolved.tableThreshold = Number.isNaN(threshold) ? DEFAULT_OPTIONS.tableThreshold : threshold;
+    return {
+        options: resolved,
+        // Markers and block syntax of the chat app (see OUTPUT_TARGETS)
+        target: OUTPUT_TARGETS[target],
+        source,
+        // Where the Markdown starts, after any front matter
+        bodyOffset: frontMatter.end,
+        blockOffset: frontMatter.end,
+        diagnostics: frontMatter.problems.map(({ line, severity, message }) =>
+            ({ line, severity, code: 'front-matter', message })),
+        // Options set by the document's front matter
+        frontMatter: frontMatter.settings,
+        // Open sections as {depth, number}, outermost first (see sectionNumber())
+        sections: [],
+        // Headings collected for the table of contents
+        outline: [],
+        // URLs numbered in reference link style (number = index + 1)
+        links: [],
+        // Footnote definitions by label, and referenced labels in number order
+        footnoteDefinitions: new Map(),
+        footnotes: [],
+        // Settings of a <!-- wa-table: ... --> comment, waiting for the next table
+        tableDirective: null,
+        // Caller's marked extensions and render overrides (see resolveHooks())
+        hooks: resolveHooks(options.hooks),
+        // Text column of the open list items when converting back to Markdown (see indentListItem())
+        listColumns: [],
+        // Codes already reported per token (or per line and message), see addDiagnostic()
+        reported: new Map()
+    };
+}
+
+/**
+ * Record a lossy or noteworthy conversion decision. Tables are rendered several times while
+ * they are measured, so a decision already reported for the same token is not repeated.
+ *
+ * Codes reported:
+ * - partial-word (warning): formatting inside a word was dropped
+ * - table-as-list (info): a table too wide for the threshold became a list
+ * - html-stripped (info): an inline HTML tag with no WhatsApp equivalent was removed (its text stays)
+ * - math-as-code (info): LaTeX math that couldn't be converted to Unicode was kept as code
+ * - unsupported (warning): an unknown token was passed through as raw Markdown
+ * - list-flattened (info): line breaks inside a list item were joined
+ * - neutralized (info): stray formatting characters were swapped for look-alikes
+ * - table-directive (warning): a wa-table comment had an unknown setting or column, hid every column,
+ *   forced keyvalue on a wider table, or had no table after it
+ * - front-matter (info/warning): a front matter setting was not an option, or its value was invalid
+ * - missing-footnote (warning): a footnote reference has no definition and was kept as written
+ * - unused-footnote (info): a footnote definition is never referenced and was dropped
+ *
+ * @param {Object} ctx - Conversion context
+ * @param {Object|null} token - Token the decision is about (null: the current block)
+ * @param {string} severity - 'info' | 'warning'
+ * @param {string} code - Machine-readable code
+ * @param {string} message - Human-readable description
+ */
+function addDiagnostic(ctx, token, severity, code, message) {
+    const line = sourceLine(ctx, token);
+    const key = token || `${line}:${message}`;
+    const codes = ctx.reported.get(key) || new Set();
+    if (codes.has(code)) {
+        return;
+    }
+    ctx.reported.set(key, codes.add(code));
+    ctx.diagnostics.push({ line, severity, code, message });
+}
+
+/**
+ * Find the source line of a token, searching from the start of the current block.
+ * @param {Object} ctx - Conversion context
+ * @param {Object|null} token - Token to locate
+ * @returns {number} 1-based line number
+ */
+function sourceLine(ctx, token) {
+    let offset = ctx.blockOffset;
+    if (token && token.raw) {
+        const found = ctx.source.indexOf(token.raw, ctx.blockOffset);
+        if (found !== -1) {
+            offset = found;
+        }
+    }
+    return ctx.source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Resolve the marked library: the global loaded by index.html in the browser,
+ * or the installed package under Node.js.
+ * @returns {Object} The marked module
+ */
+function getMarked() {
+    if (typeof marked !== 'undefined') {
+        return marked;
+    }
+    return require('marked');
+}
+
+/**
+ * Normalize the hooks option. Hooks travel with the options of each conversion, so
+ * conversions with different hooks can run side by side.
+ *
+ * - extensions: marked token extensions ({name, level, start, tokenizer}), added to the
+ *   lexer after the converter's own; their tokens reach the render overrides by name
+ * - block: render override per block token type, e.g. { table: (token, ctx, renderDefault) => ... },
+ *   nested blocks included (lists and text in list items, quotes in quotes)
+ * - inline: render override per inline token type, e.g. { codespan: (token, ctx, renderDefault) => ... }
+ *
+ * An override receives the token, the conversion context and renderDefault(token), the
+ * built-in renderer for where the token appears (inline overrides also run in headings
+ * and, unformatted, in tables). It returns the text to use, or null to drop a block.
+ * Entries that aren't functions are ignored.
+ * @param {Object} [hooks] - Hooks as passed in the options
+ * @returns {{extensions: Array<Object>, block: Record<string, Function>, inline: Record<string, Function>}}
+ *   Hooks with every part present
+ */
+function resolveHooks(hooks = {}) {
+    const overrides = (entries = {}) => Object.fromEntries(
+        Object.entries(entries).filter(([, render]) => typeof render === 'function'));
+    return {
+        extensions: Array.isArray(hooks.extensions) ? hooks.extensions : [],
+        block: overrides(hooks.block),
+        inline: overrides(hooks.inline)
+    };
+}
+
+/**
+ * Render a token through the caller's override for its type, if there is one.
+ * @param {Object} token - A marked token
+ * @param {Object} ctx - Conversion context
+ * @param {Record<string, Function>} overrides - ctx.hooks.block or ctx.hooks.inline
+ * @param {function(Object): ?string} renderDefault - Built-in renderer for the token
+ * @returns {?string} Rendered text
+ */
+function renderWithHooks(token, ctx, overrides, renderDefault) {
+    const override = Object.prototype.hasOwnProperty.call(overrides, token.type) ? overrides[token.type] : null;
+    return override ? override(token, ctx, renderDefault) : renderDefault(token);
+}
+
+/**
+ * Split the context's source into tokens. A private marked instance adds the converter's
+ * syntax extensions (footnotes, alerts) and the caller's (see resolveHooks()) without
+ * changing the global marked used by the page.
+ * Front matter, already read by createContext(), is left out.
+ * With inputFormat 'html' the input is HTML, turned into the same tokens by htmlToTokens().
+ * @param {Object} ctx - Conversion context (receives the footnote definitions)
+ * @returns {Array} Block tokens
+ */
+function lexMarkdown(ctx) {
+    if (ctx.options.inputFormat === 'html') {
+        return htmlToTokens(ctx.source);
     }
 
-    const tokens = marked.lexer(markdownText);
-    return renderTokens(tokens).trim();
+    const { Marked } = getMarked();
+    const extensions = [...FOOTNOTE_EXTENSIONS, ...ALERT_EXTENSIONS, ...MATH_EXTENSIONS, ...ctx.hooks.extensions];
+    const tokens = new Marked({ extensions }).lexer(ctx.source.slice(ctx.bodyOffset));
+    collectFootnoteDefinitions(tokens, ctx);
+    return tokens;
 }
 
 /**
  * Render an array of block-level tokens to WhatsApp format.
  * @param {Array} tokens - Array of marked tokens
+ * @param {Object} ctx - Conversion context
  * @returns {string} WhatsApp-formatted text
  */
-function renderTokens(tokens) {
+function renderTokens(tokens, ctx) {
+    return renderBlocks(tokens, ctx).join('\n\n');
+}
+
+/**
+ * Render an array of block-level tokens to a list of WhatsApp blocks.
+ * @param {Array} tokens - Array of marked tokens
+ * @param {Object} ctx - Conversion context
+ * @returns {Array<string>} One WhatsApp-formatted string per block
+ */
+function renderBlocks(tokens, ctx) {
     const result = [];
+    // Set after a heading with compact spacing: the next block goes right under it
+    let attachNext = false;
 
     for (const token of tokens) {
-        const rendered = renderToken(token);
+        // Track where this block starts so diagnostics can report source lines
+        const found = token.raw ? ctx.source.indexOf(token.raw, ctx.blockOffset) : -1;
+        if (found !== -1) {
+            ctx.blockOffset = found;
+        }
+
+        const rendered = renderToken(token, ctx);
         if (rendered !== null && rendered !== undefined) {
-            result.push(rendered);
+            const block = ctx.target.finish(rendered, ctx);
+            if (attachNext) {
+                result[result.length - 1] += '\n' + block;
+            } else {
+                result.push(block);
+            }
+            attachNext = token.type === 'heading' && headingStyle(token.depth, ctx).spacing === 'compact';
         }
     }
 
-    return result.join('\n\n');
+    // Headings were collected while rendering, so the contents come from the same pass
+    if (ctx.options.tableOfContents && ctx.outline.length > 0) {
+        result.unshift(ctx.target.finish(renderTableOfContents(ctx), ctx));
+    }
+    const notes = renderFootnotes(ctx);
+    if (notes) {
+        result.push(ctx.target.finish(notes, ctx));
+    }
+    if (ctx.links.length > 0) {
+        result.push(ctx.target.finish(renderLinkList(ctx), ctx));
+    }
+
+    return result;
+}
+
+/**
+ * Render a single block-level token to WhatsApp format, through the caller's
+ * override for its type if there is one (see resolveHooks()).
+ * @param {Object} token - A marked token
+ * @param {Object} ctx - Conversion context
+ * @returns {string|null} WhatsApp-formatted text
+ */
+function renderToken(token, ctx) {
+    // A table directive applies only to the block right after it
+    if (ctx.tableDirective && token.type !== 'table' && token.type !== 'space') {
+        addDiagnostic(ctx, token, 'warning', 'table-directive',
+            `Table directive was ignored: the next block is not a table (${token.type})`);
+        ctx.tableDirective = null;
+    }
+
+    return renderWithHooks(token, ctx, ctx.hooks.block, block => renderBlockToken(block, ctx));
 }
 
 /**
- * Render a single block-level token to WhatsApp format.
+ * Built-in rendering of a block-level token.
  * @param {Object} token - A marked token
+ * @param {Object} ctx - Conversion context
  * @returns {string|null} WhatsApp-formatted text
  */
-function renderToken(token) {
+function renderBlockToken(token, ctx) {
     switch (token.type) {
         case 'heading':
-            return renderHeading(token);
+            return renderHeading(token, ctx);
 
         case 'paragraph':
-            return renderInline(token.tokens);
+            return renderInline(token.tokens, ctx);
 
         case 'text':
             // Top-level text (e.g., in loose lists)
             if (token.tokens) {
-                return renderInline(token.tokens);
+                return renderInline(token.tokens, ctx);
             }
             return token.text;
 
         case 'code':
-            return renderCodeBlock(token);
+            return renderCodeBlock(token, ctx);
+
+        case 'math':
+            return renderMath(token, ctx);
 
         case 'list':
-            return renderList(token);
+            return renderList(token, ctx);
 
         case 'blockquote':
-            return renderBlockquote(token);
+            return renderBlockquote(token, ctx);
+
+        case 'alert':
+            return renderAlert(token, ctx);
 
         case 'hr':
-            return '───────────────';
+            return ctx.options.hr;
 
         case 'space':
             return null; // Skip empty space tokens
 
+        case 'footnoteDef':
+            return null; // Collected by lexMarkdown(), rendered in the notes at the end
+
         case 'html':
-            return token.text; // Pass through HTML as-is
+            if (TABLE_DIRECTIVE_PATTERN.test(token.text.trim())) {
+                ctx.tableDirective = parseTableDirective(token, ctx);
+                return null; // Applied by renderTable()
+            }
+            return renderHtmlBlock(token, ctx);
 
         case 'table':
-            return renderTable(token);
+            return renderTable(token, ctx);
 
         default:
             // Fallback: return raw text if available
+            addDiagnostic(ctx, token, 'warning', 'unsupported', `Unsupported Markdown (${token.type}) passed through as-is`);
             return token.raw || '';
     }
 }
 
 /**
- * Render a heading token.
- * Headers are rendered as bold with an emoji prefix.
- * Any bold markers inside are stripped to avoid nested asterisks which WhatsApp doesn't support.
+ * Render a heading token using the selected heading theme.
+ * With the default theme headers are rendered as bold with an emoji prefix.
+ * Markers matching the heading's own emphasis are stripped inside to avoid nested
+ * asterisks (or underscores) which WhatsApp doesn't support.
  * @param {Object} token - Heading token with depth and tokens
+ * @param {Object} ctx - Conversion context
  * @returns {string} Formatted heading
  */
-function renderHeading(token) {
-    const emoji = HEADER_EMOJIS[token.depth] || HEADER_EMOJIS[6];
+function renderHeading(token, ctx) {
+    const style = headingStyle(token.depth, ctx);
+    const emojis = ctx.options.headerEmojis || {};
+    const emoji = style.emoji ? (emojis[token.depth] ?? emojis[6]) : '';
+    const number = sectionNumber(token, ctx);
     // Use a special render mode that strips bold markers to avoid *header with *bold* inside*
-    const content = renderInlineForHeader(token.tokens);
-    return `*${emoji} ${content}*`;
+    const content = renderInlineForHeader(token.tokens, ctx, style);
+    const text = (emoji ? emoji + ' ' : '') + style.prefix + (number ? number + ' ' : '') + content + style.suffix;
+
+    let heading;
+    switch (style.emphasis) {
+        case 'none':
+            heading = text;
+            break;
+        case 'italic':
+            heading = mark(text, 'italic', ctx);
+            break;
+        case 'bold-italic':
+            heading = mark(mark(text, 'italic', ctx), 'bold', ctx);
+            break;
+        default:
+            heading = mark(text, 'bold', ctx);
+    }
+
+    if (style.rule) {
+        heading += '\n' + style.rule;
+    }
+    return style.spacing === 'loose' ? '\n' + heading : heading;
+}
+
+/**
+ * Work out the section number of a heading and record it for the table of contents.
+ * Numbers follow the nesting of the headings actually present, so a skipped level
+ * doesn't leave a gap: ### directly under # is numbered 1.1, not 1.0.1.
+ * Headings above numberHeadingsFrom (such as a document title) are neither numbered nor listed.
+ * @param {Object} token - Heading token
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Section number such as "2.1", or '' when numbering is off
+ */
+function sectionNumber(token, ctx) {
+    const { numberHeadings, numberHeadingsFrom, tableOfContents } = ctx.options;
+    const sections = ctx.sections;
+
+    if (token.depth < (parseInt(numberHeadingsFrom, 10) || 1)) {
+        return '';
+    }
+
+    // Close deeper sections; a heading taking the place of a closed one continues its count
+    let closed = null;
+    while (sections.length > 0 && sections[sections.length - 1].depth > token.depth) {
+        closed = sections.pop();
+    }
+    const current = sections[sections.length - 1];
+    if (current && current.depth === token.depth) {
+        current.number++;
+    } else {
+        sections.push({ depth: token.depth, number: closed ? closed.number + 1 : 1 });
+    }
+
+    const number = numberHeadings ? sections.map(section => section.number).join('.') : '';
+    if (tableOfContents) {
+        // Contents list plain titles: no formatting, link targets or references
+        const plainCtx = { ...ctx, options: { ...ctx.options, linkStyle: 'text' } };
+        ctx.outline.push({ level: sections.length, number, title: renderPlainText(token.tokens, plainCtx) });
+    }
+    return number;
+}
+
+/**
+ * Render the table of contents from the headings collected while rendering.
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Contents block: bold title, then one indented line per heading
+ */
+function renderTableOfContents(ctx) {
+    const lines = ctx.outline.map(({ level, number, title }) =>
+        '  '.repeat(level - 1) + (number ? number + ' ' : '') + title);
+    const title = ctx.options.tableOfContentsTitle;
+    return (title ? [mark(title, 'bold', ctx), ...lines] : lines).join('\n');
+}
+
+/**
+ * Resolve the style for a heading depth from the headingTheme option.
+ * Unknown theme names fall back to the default emoji theme.
+ * @param {number} depth - Heading depth (1-6)
+ * @param {Object} ctx - Conversion context
+ * @returns {Object} Complete style (see HEADING_STYLE_DEFAULTS)
+ */
+function headingStyle(depth, ctx) {
+    const { headingTheme } = ctx.options;
+    const theme = (headingTheme && typeof headingTheme === 'object')
+        ? headingTheme
+        : HEADING_THEMES[headingTheme] || HEADING_THEMES[DEFAULT_OPTIONS.headingTheme];
+    return { ...HEADING_STYLE_DEFAULTS, ...(theme[depth] || theme[6]) };
+}
+
+/**
+ * Change the letter case of heading text.
+ * @param {string} text - Text to transform
+ * @param {string} textCase - 'none' | 'upper' | 'lower' | 'title'
+ * @returns {string} Transformed text
+ */
+function applyCase(text, textCase) {
+    switch (textCase) {
+        case 'upper':
+            return text.toUpperCase();
+        case 'lower':
+            return text.toLowerCase();
+        case 'title':
+            return text.replace(/(^|[\s(\-/])(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase());
+        default:
+            return text;
+    }
 }
 
 /**
- * Render inline tokens for headers (bold markers stripped).
+ * Render inline tokens for headers.
+ * Bold and/or italic markers are stripped when the heading itself uses that emphasis;
+ * plain text gets the style's letter case (code and link targets are left alone).
  * @param {Array} tokens - Array of inline tokens
- * @returns {string} Text with bold markers stripped
+ * @param {Object} ctx - Conversion context
+ * @param {Object} [style] - Heading style (see HEADING_STYLE_DEFAULTS)
+ * @returns {string} Text with the heading's own markers stripped
  */
-function renderInlineForHeader(tokens) {
+function renderInlineForHeader(tokens, ctx, style = HEADING_STYLE_DEFAULTS) {
     if (!tokens || !Array.isArray(tokens)) {
         return '';
     }
+    tokens = translateInlineHtml(tokens, ctx);
 
-    return tokens.map(token => {
+    const bold = style.emphasis === 'bold' || style.emphasis === 'bold-italic';
+    const italic = style.emphasis === 'italic' || style.emphasis === 'bold-italic';
+
+    const renderDefault = (token) => {
         switch (token.type) {
-            case 'strong':
-                // Skip bold marker, just render content (header is already bold)
-                return renderInlineForHeader(token.tokens);
+            case 'strong': {
+                // Skip bold marker when the header is already bold
+                const content = renderInlineForHeader(token.tokens, ctx, style);
+                return bold ? content : mark(content, 'bold', ctx);
+            }
 
-            case 'em':
-                // Keep italic in headers
-                return '_' + renderInlineForHeader(token.tokens) + '_';
+            case 'em': {
+                // Keep italic in headers unless the header is italic itself
+                const content = renderInlineForHeader(token.tokens, ctx, style);
+                return italic ? content : mark(content, 'italic', ctx);
+            }
 
             case 'del':
-                return '~' + renderInlineForHeader(token.tokens) + '~';
+                return mark(renderInlineForHeader(token.tokens, ctx, style), 'strike', ctx);
 
             case 'codespan':
-                return '`' + token.text + '`';
+                return renderCodespan(token.text, ctx);
 
             case 'link':
-                return renderInlineForHeader(token.tokens) + ' (' + token.href + ')';
+                return formatLink(token, renderInlineForHeader(token.tokens, ctx, style), ctx);
 
             case 'text':
-                return unescapeText(token.text);
+                return protectLiterals(applyCase(expandEmojiShortcodes(unescapeText(token.text), ctx), style.case), ctx);
 
             case 'escape':
                 return token.text;
 
+            case 'footnoteRef':
+                return renderFootnoteRef(token, ctx);
+
+            case 'math':
+                return renderMath(token, ctx);
+
+            case 'br':
+                return ' ';
+
             default:
+                addDiagnostic(ctx, token, 'warning', 'unsupported', `Unsupported Markdown (${token.type}) passed through as-is`);
                 return token.raw || token.text || '';
         }
-    }).join('');
+    };
+    return tokens.map(token => renderWithHooks(token, ctx, ctx.hooks.inline, renderDefault)).join('');
+}
+
+/**
+ * Format a link according to the selected link style.
+ * Links whose text is the URL itself (autolinks) are printed once as the bare URL.
+ * Inline links use the target's own link syntax where it has one (Telegram, Slack).
+ * @param {Object} token - Link token
+ * @param {string} text - Already rendered link text
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted link
+ */
+function formatLink(token, text, ctx) {
+    const href = token.href;
+    if (token.text === href || 'mailto:' + token.text === href) {
+        return token.text;
+    }
+
+    switch (ctx.options.linkStyle) {
+        case 'text':
+            return text;
+        case 'url':
+            return href;
+        case 'reference':
+            return `${text} [${linkReference(href, ctx)}]`;
+        default:
+            return ctx.target.link ? ctx.target.link(text, href) : `${text} (${href})`;
+    }
+}
+
+/**
+ * Get the reference number of a URL, numbering new URLs in order of appearance.
+ * @param {string} href - Link target
+ * @param {Object} ctx - Conversion context
+ * @returns {number} Reference number, the same for every link to the URL
+ */
+function linkReference(href, ctx) {
+    const index = ctx.links.indexOf(href);
+    if (index !== -1) {
+        return index + 1;
+    }
+    return ctx.links.push(href);
+}
+
+/**
+ * Render the list of URLs referenced in reference link style.
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Links block: bold title, then one "[n] url" line per URL
+ */
+function renderLinkList(ctx) {
+    const lines = ctx.links.map((href, index) => `[${index + 1}] ${href}`);
+    const title = ctx.options.linksTitle;
+    return (title ? [mark(title, 'bold', ctx), ...lines] : lines).join('\n');
+}
+
+/**
+ * Render inline code.
+ * WhatsApp's native inline code can't contain a backtick, so the modern profile
+ * switches to ``` monospace for those spans; legacy output is left as-is.
+ * @param {string} text - Code text
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted inline code
+ */
+function renderCodespan(text, ctx) {
+    if (ctx.options.profile === 'modern' && ctx.target === OUTPUT_TARGETS.whatsapp && text.includes('`')) {
+        return '```' + text + '```';
+    }
+    return mark(text, 'code', ctx);
 }
 
 /**
  * Render a code block.
+ * The modern profile (and targets that need it) puts the fences on their own lines;
+ * legacy keeps them attached.
  * @param {Object} token - Code token
+ * @param {Object} ctx - Conversion context
  * @returns {string} Formatted code block
  */
-function renderCodeBlock(token) {
-    return '```' + token.text + '```';
+function renderCodeBlock(token, ctx) {
+    if (ctx.options.profile === 'modern' || ctx.target.fenceLines) {
+        return fenceBlock(token.text, ctx);
+    }
+    return mark(token.text, 'fence', ctx);
+}
+
+/**
+ * Put a monospace block between fences on their own lines.
+ * @param {string} text - Block content
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Fenced block (the bare text for targets without fences)
+ */
+function fenceBlock(text, ctx) {
+    const fence = ctx.target.fence;
+    return fence ? fence + '\n' + text + '\n' + fence : text;
+}
+
+/**
+ * Wrap text in the target's markers for a kind of formatting.
+ * @param {string} text - Text to format
+ * @param {string} kind - 'bold' | 'italic' | 'strike' | 'code' | 'fence'
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted text (unchanged for targets without the formatting)
+ */
+function mark(text, kind, ctx) {
+    const marker = ctx.target[kind];
+    return marker + text + marker;
 }
 
 /**
  * Render a list (ordered or unordered).
- * Uses different bullet symbols for nested levels instead of indentation.
+ * Legacy profile: uses different bullet symbols for nested levels instead of indentation;
+ * nested numbered and task items keep the same "* ◦" depth cue before their marker.
+ * Modern profile: native "- " / "1. " markers, nested by indentation.
  * @param {Object} token - List token
+ * @param {Object} ctx - Conversion context
  * @param {number} depth - Nesting depth (0 = top level)
+ * @param {Array<number>} numbers - Numbers of the enclosing numbered items, outermost first
  * @returns {string} Formatted list
  */
-function renderList(token, depth = 0) {
+function renderList(token, ctx, depth = 0, numbers = []) {
+    const { taskChecked, taskUnchecked, profile } = ctx.options;
+    const indent = profile === 'modern' ? listIndent(depth) : '';
+    // Use WhatsApp's * character, then add ◦ for each nesting level
+    // Level 1: *
+    // Level 2: * ◦
+    // Level 3: * ◦ ◦
+    // etc.
+    const bullet = nestingPrefix(depth, ctx);
+    const depthCue = depth > 0 && profile !== 'modern' ? bullet + ' ' : '';
     const items = [];
 
     token.items.forEach((item, index) => {
         let prefix;
+        let itemNumbers = numbers;
         if (token.ordered) {
             const start = token.start || 1;
-            prefix = `${start + index}.`;
-        } else {
-            // Check for task list items
-            if (item.task) {
-                prefix = item.checked ? '☑' : '☐';
-            } else {
-                // Use WhatsApp's * character, then add ◦ for each nesting level
-                // Level 1: *
-                // Level 2: * ◦
-                // Level 3: * ◦ ◦
-                // etc.
-                if (depth === 0) {
-                    prefix = '*';
-                } else {
-                    prefix = '* ' + '◦ '.repeat(depth).trim();
-                }
-            }
-        }
-
-        // Render item content
-        let content;
-        const nestedParts = [];
-
-        if (item.tokens) {
-            // Render nested content, handling nested lists
-            const textParts = [];
-            for (const subToken of item.tokens) {
-                if (subToken.type === 'list') {
-                    // Nested list - render with increased depth
-                    nestedParts.push(renderList(subToken, depth + 1));
-                } else {
-                    textParts.push(renderToken(subToken) || '');
-                }
-            }
-            content = textParts.join('').trim();
+            itemNumbers = [...numbers, start + index];
+            prefix = depthCue + orderedMarker(itemNumbers, depth, ctx);
+        } else if (item.task) {
+            // Check marks are not list markers: nested tasks keep the bullet in both
+            // profiles (modern lists only nest behind a native - marker)
+            prefix = (depth > 0 ? bullet + ' ' : '') + (item.checked ? taskChecked : taskUnchecked);
         } else {
-            content = item.text || '';
+            prefix = bullet;
         }
 
-        items.push(`${prefix} ${content.replace(/\n/g, ' ')}`);
-        // Add nested lists after the item
-        for (const nested of nestedParts) {
-            items.push(nested);
-        }
+        // Continuation lines line up with the item text
+        const continuation = indent + ' '.repeat(displayWidth(prefix) + 1);
+        items.push(`${indent}${prefix} ${renderListItem(item, ctx, depth, continuation, itemNumbers)}`);
     });
 
     return items.join('\n');
 }
 
 /**
- * Render a blockquote.
- * Handles nested blockquotes by detecting inner blockquote tokens.
- * @param {Object} token - Blockquote token
- * @returns {string} Formatted blockquote
+ * Build the marker of a numbered item with the scheme chosen for its depth
+ * (see ORDERED_NUMBERING_SCHEMES; unknown schemes fall back to decimal).
+ * @param {Array<number>} numbers - Numbers of the enclosing numbered items, ending with the item's own
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Item marker, e.g. "2.", "1.2.", "b.", "iv." or "2️⃣"
  */
-function renderBlockquote(token) {
-    const lines = [];
-
-    for (const subToken of token.tokens) {
-        if (subToken.type === 'blockquote') {
-            // Nested blockquote - add extra > prefix
-            const nested = renderBlockquote(subToken);
-            lines.push(nested.split('\n').map(line => '> ' + line).join('\n'));
-        } else {
-            const content = renderToken(subToken);
-            if (content) {
-                lines.push(content.split('\n').map(line => '> ' + line).join('\n'));
-            }
-        }
+function orderedMarker(numbers, depth, ctx) {
+    const { orderedNumbering } = ctx.options;
+    const schemes = Array.isArray(orderedNumbering)
+        ? orderedNumbering
+        : String(orderedNumbering).split(',').map(scheme => scheme.trim());
+    const scheme = schemes[Math.min(depth, schemes.length - 1)];
+    const number = numbers[numbers.length - 1];
+
+    switch (scheme) {
+        case 'outline':
+            return numbers.join('.') + '.';
+        case 'letter':
+            return toLetters(number) + '.';
+        case 'upper-letter':
+            return toLetters(number).toUpperCase() + '.';
+        case 'roman':
+            return toRoman(number) + '.';
+        case 'upper-roman':
+            return toRoman(number).toUpperCase() + '.';
+        case 'keycap':
+            return number === 10 ? '🔟' : String(number).replace(/\d/g, '$&\uFE0F\u20E3');
+        default:
+            return number + '.';
     }
-
-    return lines.join('\n');
 }
 
 /**
- * Generate all padding configurations for progressive removal.
- * Order: full padding → remove right (last to first) → remove left (last to first)
- * @param {number} colCount - Number of columns
- * @returns {Array} Array of padding config objects
+ * Write a number as letters: a-z, then aa, ab, ... (0 and below stay digits).
+ * @param {number} number - Item number
+ * @returns {string} Lowercase letters
  */
-function generatePaddingConfigs(colCount) {
-    const configs = [];
-
-    // Full padding
-    configs.push({
-        leftPadding: Array(colCount).fill(true),
-        rightPadding: Array(colCount).fill(true)
-    });
-
-    // Remove right padding progressively (last to first column)
-    for (let i = colCount - 1; i >= 0; i--) {
-        const config = {
-            leftPadding: Array(colCount).fill(true),
-            rightPadding: Array(colCount).fill(true)
-        };
-        for (let j = i; j < colCount; j++) {
-            config.rightPadding[j] = false;
-        }
-        configs.push(config);
+function toLetters(number) {
+    if (number < 1) {
+        return String(number);
     }
-
-    // Remove left padding progressively (last to first column)
-    for (let i = colCount - 1; i >= 0; i--) {
-        const config = {
-            leftPadding: Array(colCount).fill(true),
-            rightPadding: Array(colCount).fill(false)
-        };
-        for (let j = i; j < colCount; j++) {
-            config.leftPadding[j] = false;
-        }
-        configs.push(config);
+    let letters = '';
+    for (let rest = number; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+        letters = String.fromCharCode(97 + (rest - 1) % 26) + letters;
     }
-
-    return configs;
+    return letters;
 }
 
 /**
- * Render a table with optimal format (ASCII with minimal padding or list).
- * @param {Object} token - Table token
- * @returns {string} Formatted table
+ * Write a number as a lowercase roman numeral (0, negatives and 4000+ stay digits).
+ * @param {number} number - Item number
+ * @returns {string} Roman numeral
  */
-function renderTable(token) {
-    // Use cached settings (set at start of conversion)
-    if (_tableFormat === 'always') {
-        return renderTableAsList(token);
+function toRoman(number) {
+    if (number < 1 || number >= 4000) {
+        return String(number);
     }
-
-    if (_tableFormat === 'ascii') {
-        return renderTableAsAscii(token);
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let roman = '';
+    let rest = number;
+    for (const [value, numeral] of numerals) {
+        for (; rest >= value; rest -= value) {
+            roman += numeral;
+        }
+    }
+    return roman;
+}
+
+/**
+ * Block types that WhatsApp only recognizes at the start of a line (``` blocks, > quotes),
+ * or that indent themselves (lists), so they are not indented inside a list item.
+ * @type {Array<string>}
+ */
+const LIST_ITEM_MARGIN_BLOCKS = ['code', 'math', 'blockquote', 'alert', 'table', 'list'];
+
+/**
+ * Render the content of a list item, keeping its block structure: the first block follows
+ * the marker, later lines are indented with the continuation prefix, and a blank line
+ * between blocks in the source stays a blank line. Code blocks, quotes and tables start
+ * at the margin so WhatsApp still formats them.
+ * @param {Object} item - List item token
+ * @param {Object} ctx - Conversion context
+ * @param {number} depth - Nesting depth of the item's list
+ * @param {string} continuation - Prefix for continuation lines
+ * @param {Array<number>} numbers - Numbers of the enclosing numbered items, including this one
+ * @returns {string} Item content, possibly spanning several lines
+ */
+function renderListItem(item, ctx, depth, continuation, numbers) {
+    if (!item.tokens) {
+        return item.text || '';
+    }
+
+    const lines = [];
+    let blankLine = false;
+
+    for (const subToken of item.tokens) {
+        if (subToken.type === 'space') {
+            blankLine = lines.length > 0;
+            continue;
+        }
+
+        let block;
+        // Nested lists and paragraphs have their own renderers here, still behind the block hooks
+        if (subToken.type === 'list') {
+            // Nested list - render with increased depth
+            block = renderWithHooks(subToken, ctx, ctx.hooks.block, list => renderList(list, ctx, depth + 1, numbers));
+        } else if (subToken.type === 'text' || subToken.type === 'paragraph') {
+            block = renderWithHooks(subToken, ctx, ctx.hooks.block, paragraph => renderListParagraph(paragraph, item, ctx));
+        } else {
+            block = renderToken(subToken, ctx);
+        }
+        if (!block) {
+            continue;
+        }
+
+        if (blankLine) {
+            lines.push('');
+            blankLine = false;
+        }
+        const atMargin = LIST_ITEM_MARGIN_BLOCKS.includes(subToken.type);
+        for (const line of block.split('\n')) {
+            // The first line follows the item marker
+            lines.push(lines.length === 0 || atMargin || !line ? line : continuation + line);
+        }
+    }
+
+    return lines.join('\n').trim();
+}
+
+/**
+ * Render a paragraph inside a list item. Soft line breaks are joined with spaces, so
+ * text wrapped in the source stays on the item's line; hard breaks (two trailing
+ * spaces or a backslash) are kept.
+ * @param {Object} token - Paragraph or text token
+ * @param {Object} item - List item token, for diagnostics
+ * @param {Object} ctx - Conversion context
+ * @returns {string} WhatsApp-formatted text
+ */
+function renderListParagraph(token, item, ctx) {
+    if (!token.tokens) {
+        return token.text.replace(/[ \t]*\n[ \t]*/g, ' ');
+    }
+    const tokens = joinSoftBreaks(token.tokens);
+    if (tokens !== token.tokens) {
+        addDiagnostic(ctx, item, 'info', 'list-flattened', 'Line breaks inside a list item were joined into one line');
+    }
+    return renderInline(tokens, ctx);
+}
+
+/**
+ * Replace soft line breaks in inline text tokens with spaces.
+ * @param {Array} tokens - Inline tokens
+ * @returns {Array} Copies of the changed tokens, or the same array when there was no soft break
+ */
+function joinSoftBreaks(tokens) {
+    let changed = false;
+    const joined = tokens.map(token => {
+        let copy = token;
+        if (token.type === 'text' && !token.tokens && token.text.includes('\n')) {
+            copy = { ...token, text: token.text.replace(/[ \t]*\n[ \t]*/g, ' ') };
+        } else if (token.tokens) {
+            const children = joinSoftBreaks(token.tokens);
+            if (children !== token.tokens) {
+                copy = { ...token, tokens: children };
+            }
+        }
+        changed = changed || copy !== token;
+        return copy;
+    });
+    return changed ? joined : tokens;
+}
+
+/**
+ * Build the bullet prefix for an unordered item at the given depth.
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Bullet followed by one nested marker per level (legacy),
+ *   or the bullet alone (modern, where renderList indents it)
+ */
+function nestingPrefix(depth, ctx) {
+    const { bullet, nestedBullet, profile } = ctx.options;
+    if (depth === 0 || profile === 'modern') {
+        return bullet;
+    }
+    return bullet + ' ' + (nestedBullet + ' ').repeat(depth).trim();
+}
+
+/**
+ * Indentation for a nested list item in the modern profile.
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @returns {string} Leading spaces
+ */
+function listIndent(depth) {
+    return '  '.repeat(depth);
+}
+
+/**
+ * Render a blockquote.
+ * Handles nested blockquotes by detecting inner blockquote tokens. WhatsApp only
+ * draws one quote level, so the modern profile indents nested quotes instead of
+ * repeating the > marker.
+ * @param {Object} token - Blockquote token
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted blockquote
+ */
+function renderBlockquote(token, ctx) {
+    const quote = ctx.target.quote;
+    const lines = [];
+
+    for (const subToken of token.tokens) {
+        if (subToken.type === 'blockquote') {
+            // Nested blockquote - add extra > prefix
+            const nested = renderWithHooks(subToken, ctx, ctx.hooks.block, inner => renderBlockquote(inner, ctx));
+            if (!nested) {
+                continue;
+            }
+            if (ctx.options.profile === 'modern') {
+                lines.push(nested.split('\n').map(line => quote.trimEnd() + '   ' + line.slice(quote.length)).join('\n'));
+            } else {
+                lines.push(nested.split('\n').map(line => quote + line).join('\n'));
+            }
+        } else {
+            const content = renderToken(subToken, ctx);
+            if (content) {
+                lines.push(content.split('\n').map(line => quote + line).join('\n'));
+            }
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generate all padding configurations for progressive removal.
+ * Order: full padding → remove right (last to first) → remove left (last to first)
+ * @param {number} colCount - Number of columns
+ * @returns {Array} Array of padding config objects
+ */
+function generatePaddingConfigs(colCount) {
+    const configs = [];
+
+    // Full padding
+    configs.push({
+        leftPadding: Array(colCount).fill(true),
+        rightPadding: Array(colCount).fill(true)
+    });
+
+    // Remove right padding progressively (last to first column)
+    for (let i = colCount - 1; i >= 0; i--) {
+        const config = {
+            leftPadding: Array(colCount).fill(true),
+            rightPadding: Array(colCount).fill(true)
+        };
+        for (let j = i; j < colCount; j++) {
+            config.rightPadding[j] = false;
+        }
+        configs.push(config);
+    }
+
+    // Remove left padding progressively (last to first column)
+    for (let i = colCount - 1; i >= 0; i--) {
+        const config = {
+            leftPadding: Array(colCount).fill(true),
+            rightPadding: Array(colCount).fill(false)
+        };
+        for (let j = i; j < colCount; j++) {
+            config.leftPadding[j] = false;
+        }
+        configs.push(config);
+    }
+
+    return configs;
+}
+
+/**
+ * Code point ranges drawn two columns wide in monospace fonts (East Asian Wide and
+ * Fullwidth: Hangul, CJK, kana, fullwidth forms), as [first, last] pairs.
+ * @type {Array<Array<number>>}
+ */
+const WIDE_CHARACTER_RANGES = [
+    [0x1100, 0x115F], [0x231A, 0x231B], [0x2329, 0x232A], [0x2E80, 0x303E], [0x3041, 0x33FF],
+    [0x3400, 0x4DBF], [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xA960, 0xA97F], [0xAC00, 0xD7A3],
+    [0xF900, 0xFAFF], [0xFE10, 0xFE19], [0xFE30, 0xFE6F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6],
+    [0x1B000, 0x1B2FF], [0x1F200, 0x1F2FF], [0x20000, 0x2FFFD], [0x30000, 0x3FFFD]
+];
+
+/**
+ * Split text into user-perceived characters (grapheme clusters), so that emoji
+ * sequences like 👨‍👩‍👧 or 🇮🇹 are measured as one symbol.
+ * Falls back to code points where Intl.Segmenter is not available.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Grapheme clusters
+ */
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+    return Array.from(text);
+}
+
+/**
+ * Width of a single code point in monospace columns: 0 for combining marks and
+ * invisible format characters, 2 for East Asian wide characters, 1 otherwise.
+ * @param {string} char - A single code point
+ * @returns {number} Column width
+ */
+function codePointWidth(char) {
+    if (/[\p{Mn}\p{Me}\p{Cf}]/u.test(char)) {
+        return 0;
+    }
+    const code = char.codePointAt(0);
+    return WIDE_CHARACTER_RANGES.some(([first, last]) => code >= first && code <= last) ? 2 : 1;
+}
+
+/**
+ * Measure how many monospace columns text takes on screen (unlike String.length,
+ * which counts UTF-16 units). Emoji take two columns whatever their sequence length;
+ * other clusters add up their code points, so accents built from combining marks and
+ * Indic vowel signs and viramas are measured the same on every Unicode version.
+ * @param {string} text - Single-line text
+ * @returns {number} Display width in columns
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const grapheme of splitGraphemes(text)) {
+        if (/\p{Emoji_Presentation}|\uFE0F|\p{Regional_Indicator}/u.test(grapheme)) {
+            width += 2;
+        } else {
+            for (const char of grapheme) {
+                width += codePointWidth(char);
+            }
+        }
+    }
+    return width;
+}
+
+/**
+ * Characters drawing the table grid per border style. Horizontal lines are
+ * [left, fill, column separator, right]; `row` separates wrapped body rows.
+ * @type {Record<string, Object>}
+ */
+const TABLE_BORDERS = {
+    ascii: {
+        top: ['+', '-', '+', '+'],
+        header: ['+', '=', '+', '+'],
+        row: ['+', '-', '+', '+'],
+        bottom: ['+', '-', '+', '+'],
+        vertical: '|'
+    },
+    unicode: {
+        top: ['┌', '─', '┬', '┐'],
+        header: ['╞', '═', '╪', '╡'],
+        row: ['├', '─', '┼', '┤'],
+        bottom: ['└', '─', '┴', '┘'],
+        vertical: '│'
+    },
+    rounded: {
+        top: ['╭', '─', '┬', '╮'],
+        header: ['├', '─', '┼', '┤'],
+        row: ['├', '╌', '┼', '┤'],
+        bottom: ['╰', '─', '┴', '╯'],
+        vertical: '│'
+    }
+};
+
+/**
+ * Most lines a wrapped cell may take before a list is considered more readable.
+ * @type {number}
+ */
+const TABLE_WRAP_MAX_LINES = 4;
+
+/**
+ * HTML comment placed right before a table to override how it is rendered,
+ * e.g. <!-- wa-table: list, type=horizontal, key=2, hide=4,5 -->
+ * @type {RegExp}
+ */
+const TABLE_DIRECTIVE_PATTERN = /^<!--\s*wa-table:([\s\S]*?)-->$/;
+
+/**
+ * Table formats a directive may force, mapped to tableFormat values.
+ * @type {Record<string, string>}
+ */
+const TABLE_DIRECTIVE_FORMATS = { auto: 'auto', ascii: 'ascii', list: 'always', always: 'always' };
+
+/**
+ * Table types a directive may force (see detectTableType()).
+ * @type {Array<string>}
+ */
+const TABLE_DIRECTIVE_TYPES = ['keyvalue', 'horizontal', 'vertical'];
+
+/**
+ * Render a table with optimal format (ASCII with minimal padding, wrapped ASCII or list).
+ * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted table
+ */
+function renderTable(token, ctx) {
+    const directive = takeTableDirective(token, ctx);
+    if (directive.hide.length === token.header.length) {
+        addDiagnostic(ctx, token, 'warning', 'table-directive', 'Table directive hides every column; the table was left out');
+        return null;
+    }
+    if (directive.hide.length > 0) {
+        token = hideTableColumns(token, directive.hide);
+    }
+    const tableFormat = directive.format || ctx.options.tableFormat;
+    const { tableThreshold } = ctx.options;
+
+    if (tableFormat === 'always') {
+        return renderTableAsList(token, ctx, directive);
+    }
+
+    if (tableFormat === 'ascii') {
+        return renderTableAsAscii(token, ctx);
     }
 
     // 'auto' mode: try progressive padding removal
@@ -340,25 +1346,156 @@ function renderTable(token) {
 
     // Test each configuration
     for (const config of configs) {
-        const width = calculateTableWidth(token, config);
-        if (width <= _tableThreshold) {
-            return renderTableAsAscii(token, config);
+        const width = calculateTableWidth(token, ctx, config);
+        if (width <= tableThreshold) {
+            return renderTableAsAscii(token, ctx, config);
+        }
+    }
+
+    // No configuration fits: wrap long cells over several lines, if still readable
+    if (ctx.options.tableWrap) {
+        const wrapWidths = wrappedColumnWidths(token, ctx);
+        if (wrapWidths) {
+            return renderTableAsAscii(token, ctx, null, wrapWidths);
+        }
+    }
+
+    // Otherwise use list format
+    addDiagnostic(ctx, token, 'info', 'table-as-list',
+        `Table is wider than ${tableThreshold} characters and was rendered as a list`);
+    return renderTableAsList(token, ctx, directive);
+}
+
+/**
+ * Parse a wa-table directive comment. Settings are comma-separated: a bare format
+ * (auto, ascii, list), type=keyvalue|horizontal|vertical, key=<column> and
+ * hide=<column>,<column>,... where a column is a 1-based number or a header text.
+ * @param {Object} token - HTML token holding the comment
+ * @param {Object} ctx - Conversion context
+ * @returns {{format: ?string, type: ?string, key: ?string, hide: Array<string>}} Directive settings
+ */
+function parseTableDirective(token, ctx) {
+    const directive = { format: null, type: null, key: null, hide: [] };
+    const body = token.text.trim().match(TABLE_DIRECTIVE_PATTERN)[1];
+    const unknown = (part) => addDiagnostic(ctx, token, 'warning', 'table-directive',
+        `Unknown table directive setting was ignored: ${part}`);
+    let lastName = null;
+
+    for (const part of body.split(',').map(p => p.trim()).filter(Boolean)) {
+        const separator = part.indexOf('=');
+        if (separator === -1) {
+            // A bare value continues a hide list, otherwise it names the format
+            if (lastName === 'hide') {
+                directive.hide.push(part);
+            } else if (TABLE_DIRECTIVE_FORMATS[part.toLowerCase()]) {
+                directive.format = TABLE_DIRECTIVE_FORMATS[part.toLowerCase()];
+            } else {
+                unknown(part);
+            }
+            continue;
+        }
+
+        const name = part.slice(0, separator).trim().toLowerCase();
+        const value = part.slice(separator + 1).trim();
+        lastName = name;
+        if (name === 'format' && TABLE_DIRECTIVE_FORMATS[value.toLowerCase()]) {
+            directive.format = TABLE_DIRECTIVE_FORMATS[value.toLowerCase()];
+        } else if (name === 'type' && TABLE_DIRECTIVE_TYPES.includes(value.toLowerCase())) {
+            directive.type = value.toLowerCase();
+        } else if (name === 'key' && value) {
+            directive.key = value;
+        } else if (name === 'hide' && value) {
+            directive.hide.push(value);
+        } else {
+            unknown(part);
+        }
+    }
+
+    return directive;
+}
+
+/**
+ * Take the pending table directive and resolve its columns against the table.
+ * The key column index refers to the table once the hidden columns are removed.
+ * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
+ * @returns {{format: ?string, type: ?string, key: ?number, hide: Array<number>}} Resolved directive
+ */
+function takeTableDirective(token, ctx) {
+    const pending = ctx.tableDirective;
+    ctx.tableDirective = null;
+    if (!pending) {
+        return { format: null, type: null, key: null, hide: [] };
+    }
+
+    const hide = [...new Set(pending.hide
+        .map(column => findTableColumn(token, column, ctx))
+        .filter(index => index !== -1))];
+    let type = pending.type;
+    if (type === 'keyvalue' && token.header.length - hide.length > 2) {
+        addDiagnostic(ctx, token, 'warning', 'table-directive',
+            `Table directive type=keyvalue needs at most two columns, the table has ${token.header.length - hide.length}; it was ignored`);
+        type = null;
+    }
+    let key = null;
+    if (pending.key !== null) {
+        const index = findTableColumn(token, pending.key, ctx);
+        if (hide.includes(index)) {
+            addDiagnostic(ctx, token, 'warning', 'table-directive',
+                `Table directive key column ${pending.key} is hidden and was ignored`);
+        } else if (index !== -1) {
+            key = index - hide.filter(hidden => hidden < index).length;
         }
     }
 
-    // If no configuration fits, use list format
-    return renderTableAsList(token);
+    return { format: pending.format, type, key, hide };
+}
+
+/**
+ * Find a table column by 1-based number or by header text (case-insensitive).
+ * @param {Object} token - Table token
+ * @param {string} column - Column reference from a directive
+ * @param {Object} ctx - Conversion context
+ * @returns {number} 0-based column index, or -1 when there is no such column
+ */
+function findTableColumn(token, column, ctx) {
+    const index = /^\d+$/.test(column)
+        ? parseInt(column, 10) - 1
+        : token.header.findIndex(cell => renderPlainText(cell.tokens, ctx).trim().toLowerCase() === column.toLowerCase());
+    if (index < 0 || index >= token.header.length) {
+        addDiagnostic(ctx, token, 'warning', 'table-directive',
+            `Table directive refers to a missing column: ${column}`);
+        return -1;
+    }
+    return index;
+}
+
+/**
+ * Copy a table token without the given columns.
+ * @param {Object} token - Table token
+ * @param {Array<number>} hide - 0-based indexes of the columns to drop
+ * @returns {Object} Table token with the remaining columns
+ */
+function hideTableColumns(token, hide) {
+    const keep = (_, index) => !hide.includes(index);
+    return {
+        ...token,
+        header: token.header.filter(keep),
+        align: token.align.filter(keep),
+        rows: token.rows.map(row => row.filter(keep))
+    };
 }
 
 /**
  * Calculate the width of the ASCII table with given padding configuration.
  * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
  * @param {Object} paddingConfig - { leftPadding: [bool, ...], rightPadding: [bool, ...] }
- * @returns {number} Total table width in characters
+ * @returns {number} Total table width in monospace columns (see displayWidth())
  */
-function calculateTableWidth(token, paddingConfig = null) {
-    const headerCells = token.header.map(cell => renderPlainText(cell.tokens));
-    const bodyRows = token.rows.map(row => row.map(cell => renderPlainText(cell.tokens)));
+function calculateTableWidth(token, ctx, paddingConfig = null) {
+    const headerCells = token.header.map(cell => renderPlainText(cell.tokens, ctx));
+    const bodyRows = token.rows.map(row => row.map(cell => renderPlainText(cell.tokens, ctx)));
 
     const colCount = headerCells.length;
 
@@ -373,10 +1510,10 @@ function calculateTableWidth(token, paddingConfig = null) {
     let totalWidth = 1; // Start with left border
 
     for (let i = 0; i < colCount; i++) {
-        let maxWidth = headerCells[i].length;
+        let maxWidth = displayWidth(headerCells[i]);
         for (const row of bodyRows) {
-            if (row[i] && row[i].length > maxWidth) {
-                maxWidth = row[i].length;
+            if (row[i] && displayWidth(row[i]) > maxWidth) {
+                maxWidth = displayWidth(row[i]);
             }
         }
 
@@ -402,27 +1539,34 @@ function calculateTableWidth(token, paddingConfig = null) {
 
 /**
  * Render a table as ASCII art with configurable padding.
+ * Cells follow the column alignment of the Markdown table (token.align).
+ * With wrapWidths, cells are word-wrapped to those column widths over several
+ * lines, and body rows are separated by a line so wrapped rows stay distinct.
  * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
  * @param {Object} paddingConfig - { leftPadding: [bool, ...], rightPadding: [bool, ...] }
+ * @param {Array<number>} [wrapWidths] - Content width per column (see wrappedColumnWidths())
  * @returns {string} ASCII table
  */
-function renderTableAsAscii(token, paddingConfig = null) {
+function renderTableAsAscii(token, ctx, paddingConfig = null, wrapWidths = null) {
     // Extract all cell contents as PLAIN TEXT (no formatting markers)
     // since the table is inside a monospace block where formatting doesn't work
-    const headerCells = token.header.map(cell => renderPlainText(cell.tokens));
+    const headerCells = token.header.map(cell => renderPlainText(cell.tokens, ctx));
     const bodyRows = token.rows.map(row =>
-        row.map(cell => renderPlainText(cell.tokens))
+        row.map(cell => renderPlainText(cell.tokens, ctx))
     );
+    const border = TABLE_BORDERS[ctx.options.tableBorder] || TABLE_BORDERS.ascii;
+    const align = token.align || [];
 
-    // Calculate column widths (max of header and all body cells)
+    // Calculate column widths (max of header and all body cells), unless wrapping
     const colCount = headerCells.length;
-    const colWidths = [];
+    const colWidths = wrapWidths ? [...wrapWidths] : [];
 
-    for (let i = 0; i < colCount; i++) {
-        let maxWidth = headerCells[i].length;
+    for (let i = 0; i < colCount && !wrapWidths; i++) {
+        let maxWidth = displayWidth(headerCells[i]);
         for (const row of bodyRows) {
-            if (row[i] && row[i].length > maxWidth) {
-                maxWidth = row[i].length;
+            if (row[i] && displayWidth(row[i]) > maxWidth) {
+                maxWidth = displayWidth(row[i]);
             }
         }
         colWidths.push(maxWidth);
@@ -437,7 +1581,7 @@ function renderTableAsAscii(token, paddingConfig = null) {
     }
 
     // Helper to create a horizontal border line
-    const createBorder = (left, mid, right, fill) => {
+    const createBorder = ([left, fill, mid, right]) => {
         return left + colWidths.map((w, i) => {
             const leftPad = paddingConfig.leftPadding[i] ? 1 : 0;
             const rightPad = paddingConfig.rightPadding[i] ? 1 : 0;
@@ -445,41 +1589,140 @@ function renderTableAsAscii(token, paddingConfig = null) {
         }).join(mid) + right;
     };
 
-    // Helper to create a data row
+    // Helper to create a data row (several lines when cells are wrapped)
     const createRow = (cells) => {
-        const paddedCells = cells.map((cell, i) => {
-            const contentWidth = colWidths[i];
-            const padding = contentWidth - cell.length;
-
-            const leftPad = paddingConfig.leftPadding[i] ? ' ' : '';
-            const rightPad = paddingConfig.rightPadding[i] ? ' '.repeat(padding + 1) : ' '.repeat(padding);
-
-            return leftPad + cell + rightPad;
-        });
-        return '|' + paddedCells.join('|') + '|';
+        const cellLines = cells.map((cell, i) => wrapWidths ? wrapCell(cell || '', colWidths[i]) : [cell || '']);
+        const height = Math.max(...cellLines.map(lines => lines.length));
+        const rowLines = [];
+
+        for (let line = 0; line < height; line++) {
+            const paddedCells = cellLines.map((lines, i) => {
+                const leftPad = paddingConfig.leftPadding[i] ? ' ' : '';
+                const rightPad = paddingConfig.rightPadding[i] ? ' ' : '';
+                return leftPad + alignCell(lines[line] || '', colWidths[i], align[i]) + rightPad;
+            });
+            rowLines.push(border.vertical + paddedCells.join(border.vertical) + border.vertical);
+        }
+        return rowLines.join('\n');
     };
 
     // Build the table
     const lines = [];
 
     // Top border
-    lines.push(createBorder('+', '+', '+', '-'));
+    lines.push(createBorder(border.top));
 
     // Header row
     lines.push(createRow(headerCells));
 
     // Header separator (thicker)
-    lines.push(createBorder('+', '+', '+', '='));
+    lines.push(createBorder(border.header));
 
     // Body rows
-    for (const row of bodyRows) {
+    bodyRows.forEach((row, index) => {
+        if (wrapWidths && index > 0) {
+            lines.push(createBorder(border.row));
+        }
         lines.push(createRow(row));
-    }
+    });
 
     // Bottom border
-    lines.push(createBorder('+', '+', '+', '-'));
+    lines.push(createBorder(border.bottom));
+
+    return fenceBlock(lines.join('\n'), ctx);
+}
+
+/**
+ * Pad a cell to the column width according to the column alignment.
+ * @param {string} text - Cell text (one line)
+ * @param {number} width - Column content width
+ * @param {?string} align - 'left' | 'center' | 'right' | null (left)
+ * @returns {string} Padded text
+ */
+function alignCell(text, width, align) {
+    const gap = Math.max(0, width - displayWidth(text));
+    if (align === 'right') {
+        return ' '.repeat(gap) + text;
+    }
+    if (align === 'center') {
+        const left = Math.floor(gap / 2);
+        return ' '.repeat(left) + text + ' '.repeat(gap - left);
+    }
+    return text + ' '.repeat(gap);
+}
+
+/**
+ * Choose column widths that fit a wide table into the threshold by wrapping cells.
+ * Every column gets at least its longest word, then the spare width goes to the
+ * columns furthest from their natural width.
+ * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
+ * @returns {?Array<number>} Content width per column, or null when the wrapped table
+ *   would be unreadable (words don't fit, or cells need more than TABLE_WRAP_MAX_LINES lines)
+ */
+function wrappedColumnWidths(token, ctx) {
+    const columns = token.header.map((cell, i) => [cell, ...token.rows.map(row => row[i])]
+        .map(column => column ? renderPlainText(column.tokens, ctx) : ''));
+
+    // Left border, then per column: padding on both sides and a separator
+    const available = ctx.options.tableThreshold - 1 - 3 * columns.length;
+    const natural = columns.map(cells => Math.max(...cells.map(displayWidth)));
+    const widths = columns.map(cells => Math.max(1, ...cells.flatMap(cell => cell.split(/\s+/)).map(displayWidth)));
+
+    let spare = available - widths.reduce((sum, width) => sum + width, 0);
+    if (spare < 0) {
+        return null;
+    }
+    while (spare > 0) {
+        let widest = -1;
+        widths.forEach((width, i) => {
+            if (width < natural[i] && (widest === -1 || natural[i] - width > natural[widest] - widths[widest])) {
+                widest = i;
+            }
+        });
+        if (widest === -1) {
+            break;
+        }
+        widths[widest]++;
+        spare--;
+    }
+
+    const tooTall = columns.some((cells, i) => cells.some(cell => wrapCell(cell, widths[i]).length > TABLE_WRAP_MAX_LINES));
+    return tooTall ? null : widths;
+}
+
+/**
+ * Word-wrap cell text into lines no wider than the column.
+ * Words wider than the column are split.
+ * @param {string} text - Cell text
+ * @param {number} width - Column content width
+ * @returns {Array<string>} Lines (at least one)
+ */
+function wrapCell(text, width) {
+    const lines = [];
+    let current = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = current ? current + ' ' + word : word;
+        if (displayWidth(candidate) <= width) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            lines.push(current);
+        }
+        current = '';
+        for (const grapheme of splitGraphemes(word)) {
+            if (current && displayWidth(current + grapheme) > width) {
+                lines.push(current);
+                current = '';
+            }
+            current += grapheme;
+        }
+    }
+    lines.push(current);
 
-    return '```\n' + lines.join('\n') + '\n```';
+    return lines;
 }
 
 // Generic header keywords for Key-Value table detection (by language)
@@ -511,10 +1754,11 @@ const KEY_VALUE_HEADERS = [
  * 3. Vertical table: standard row-based grouping
  * 
  * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
  * @returns {string} Table type
  */
-function detectTableType(token) {
-    const headers = token.header.map(cell => renderPlainText(cell.tokens).toLowerCase().trim());
+function detectTableType(token, ctx) {
+    const headers = token.header.map(cell => renderPlainText(cell.tokens, ctx).toLowerCase().trim());
 
     // Check for Key-Value table (2 columns with generic headers)
     if (headers.length === 2) {
@@ -547,35 +1791,47 @@ function detectTableType(token) {
 
 /**
  * Render a table as a nested list (for wide tables).
- * Automatically detects table type:
+ * Automatically detects table type, unless a directive forces it:
  * - Key-Value (2 cols, generic headers): each row becomes key: value
  * - Horizontal (first column bold): groups by column headers
  * - Vertical (standard): groups by rows
+ * The first column labels the rows, unless a directive names another key column.
  * @param {Object} token - Table token
+ * @param {Object} ctx - Conversion context
+ * @param {Object} directive - Resolved table directive (see takeTableDirective())
  * @returns {string} List-formatted table
  */
-function renderTableAsList(token) {
-    const headers = token.header.map(cell => renderPlainText(cell.tokens));
-    const tableType = detectTableType(token);
+function renderTableAsList(token, ctx, directive = {}) {
+    if (directive.key) {
+        // Move the key column first: every layout below labels rows with column 0
+        const order = [directive.key, ...token.header.keys()].filter((index, i) => i === 0 || index !== directive.key);
+        const reorder = (cells) => order.map(index => cells[index]);
+        token = { ...token, header: reorder(token.header), align: reorder(token.align), rows: token.rows.map(reorder) };
+    }
+    const headers = token.header.map(cell => renderPlainText(cell.tokens, ctx));
+    const tableType = directive.type || detectTableType(token, ctx);
+    const top = nestingPrefix(0, ctx);
+    const nested = (ctx.options.profile === 'modern' ? listIndent(1) : '') + nestingPrefix(1, ctx);
     const lines = [];
 
     if (tableType === 'keyvalue') {
         // Key-Value table: simple key: value format
         for (const row of token.rows) {
-            const key = renderInline(row[0].tokens);
-            const value = renderInline(row[1].tokens);
-            lines.push(`* *${key}:* ${value}`);
+            // The key is bold already: markers inside it would close the bold early
+            const key = renderInlineForHeader(row[0].tokens, ctx);
+            const value = renderInline(row[1].tokens, ctx);
+            lines.push(`${top} ${mark(key + ':', 'bold', ctx)} ${value}`);
         }
     } else if (tableType === 'horizontal') {
         // Horizontal table: group by column (skip first column header)
         for (let col = 1; col < headers.length; col++) {
             const columnHeader = headers[col];
-            lines.push(`* *${columnHeader}*`);
+            lines.push(`${top} ${mark(columnHeader, 'bold', ctx)}`);
 
             for (const row of token.rows) {
-                const rowLabel = renderPlainText(row[0].tokens);
-                const value = renderInline(row[col].tokens);
-                lines.push(`* ◦ _${rowLabel}:_ ${value}`);
+                const rowLabel = renderPlainText(row[0].tokens, ctx);
+                const value = renderInline(row[col].tokens, ctx);
+                lines.push(`${nested} ${mark(rowLabel + ':', 'italic', ctx)} ${value}`);
             }
         }
     } else {
@@ -583,12 +1839,12 @@ function renderTableAsList(token) {
         for (const row of token.rows) {
             for (let i = 0; i < row.length; i++) {
                 const header = headers[i] || `Column ${i + 1}`;
-                const value = renderInline(row[i].tokens);
+                const value = renderInline(row[i].tokens, ctx);
 
                 if (i === 0) {
-                    lines.push(`* *${header}:* ${value}`);
+                    lines.push(`${top} ${mark(header + ':', 'bold', ctx)} ${value}`);
                 } else {
-                    lines.push(`* ◦ _${header}:_ ${value}`);
+                    lines.push(`${nested} ${mark(header + ':', 'italic', ctx)} ${value}`);
                 }
             }
         }
@@ -601,12 +1857,14 @@ function renderTableAsList(token) {
  * Render inline tokens to WhatsApp format.
  * This handles bold, italic, strikethrough, code, links, etc.
  * @param {Array} tokens - Array of inline tokens
+ * @param {Object} ctx - Conversion context
  * @returns {string} WhatsApp-formatted inline text
  */
-function renderInline(tokens) {
+function renderInline(tokens, ctx) {
     if (!tokens || !Array.isArray(tokens)) {
         return '';
     }
+    tokens = translateInlineHtml(tokens, ctx);
 
     const result = [];
 
@@ -623,179 +1881,3220 @@ function renderInline(tokens) {
             nextToken.text && !/^\s/.test(nextToken.text);
         const isPartialWord = isAdjacentToPrev || isAdjacentToNext;
 
-        switch (token.type) {
-            case 'strong':
-                // Bold: **text** or __text__ → *text*
-                if (isPartialWord) {
-                    // Skip formatting for partial word - use plain text
-                    result.push(renderPlainText(token.tokens));
-                } else if (token.tokens && token.tokens.length === 1 && token.tokens[0].type === 'em') {
-                    // Bold+italic: ***text***, **_text_**, __*text*__ → *_text_*
-                    result.push('*_' + renderInline(token.tokens[0].tokens) + '_*');
-                } else {
-                    result.push('*' + renderInline(token.tokens) + '*');
-                }
-                break;
-
-            case 'em':
-                // Italic: *text* or _text_ → _text_
-                if (isPartialWord) {
-                    result.push(renderPlainText(token.tokens));
-                } else if (token.tokens && token.tokens.length === 1 && token.tokens[0].type === 'strong') {
-                    // Italic+bold: _**text**_, *__text__* → _*text*_
-                    result.push('_*' + renderInline(token.tokens[0].tokens) + '*_');
-                } else {
-                    result.push('_' + renderInline(token.tokens) + '_');
-                }
-                break;
+        result.push(renderWithHooks(token, ctx, ctx.hooks.inline, inline => renderInlineToken(inline, ctx, isPartialWord)));
+    }
 
-            case 'del':
-                // Strikethrough: ~~text~~ → ~text~
-                if (isPartialWord) {
-                    result.push(renderPlainText(token.tokens));
-                } else {
-                    result.push('~' + renderInline(token.tokens) + '~');
-                }
-                break;
+    return result.join('');
+}
 
-            case 'codespan':
-                // Inline code: `text` → `text`
-                result.push('`' + token.text + '`');
-                break;
+/**
+ * Built-in rendering of an inline token.
+ * @param {Object} token - An inline token
+ * @param {Object} ctx - Conversion context
+ * @param {boolean} isPartialWord - The token touches text on either side (inside a word)
+ * @returns {string} WhatsApp-formatted text
+ */
+function renderInlineToken(token, ctx, isPartialWord) {
+    if (isPartialWord && ['strong', 'em', 'del'].includes(token.type)) {
+        addDiagnostic(ctx, token, 'warning', 'partial-word',
+            `Formatting inside a word was removed (WhatsApp can't format part of a word): ${token.raw}`);
+    }
+
+    switch (token.type) {
+        case 'strong':
+            // Bold: **text** or __text__ → *text*
+            if (isPartialWord) {
+                // Skip formatting for partial word - use plain text
+                return renderPlainText(token.tokens, ctx);
+            } else if (token.tokens && token.tokens.length === 1 && token.tokens[0].type === 'em') {
+                // Bold+italic: ***text***, **_text_**, __*text*__ → *_text_*
+                return mark(mark(renderInline(token.tokens[0].tokens, ctx), 'italic', ctx), 'bold', ctx);
+            } else {
+                return mark(renderInline(token.tokens, ctx), 'bold', ctx);
+            }
+
+        case 'em':
+            // Italic: *text* or _text_ → _text_
+            if (isPartialWord) {
+                return renderPlainText(token.tokens, ctx);
+            } else if (token.tokens && token.tokens.length === 1 && token.tokens[0].type === 'strong') {
+                // Italic+bold: _**text**_, *__text__* → _*text*_
+                return mark(mark(renderInline(token.tokens[0].tokens, ctx), 'bold', ctx), 'italic', ctx);
+            } else {
+                return mark(renderInline(token.tokens, ctx), 'italic', ctx);
+            }
+
+        case 'del':
+            // Strikethrough: ~~text~~ → ~text~
+            if (isPartialWord) {
+                return renderPlainText(token.tokens, ctx);
+            } else {
+                return mark(renderInline(token.tokens, ctx), 'strike', ctx);
+            }
+
+        case 'codespan':
+            // Inline code: `text` → `text`
+            return renderCodespan(token.text, ctx);
+
+        case 'link':
+            // Link: [text](url) → text (url)
+            return formatLink(token, renderInline(token.tokens, ctx), ctx);
+
+        case 'image':
+            // Image: ![alt](url) → [alt: url]
+            return `[${token.text}: ${token.href}]`;
+
+        case 'text':
+            // Plain text - handle escaped characters
+            return protectLiterals(expandEmojiShortcodes(unescapeText(token.text), ctx), ctx);
+
+        case 'escape':
+            // Escaped character - use Unicode look-alikes that WhatsApp won't interpret
+            return ctx.target.lookAlikes ? escapeForWhatsApp(token.text) : token.text;
+
+        case 'br':
+            return '\n';
+
+        case 'footnoteRef':
+            return renderFootnoteRef(token, ctx);
+
+        case 'math':
+            return renderMath(token, ctx);
+
+        default:
+            // Fallback
+            addDiagnostic(ctx, token, 'warning', 'unsupported', `Unsupported Markdown (${token.type}) passed through as-is`);
+            return token.raw || token.text || '';
+    }
+}
+
+/**
+ * Decode the character references in marked's text (its own escapes and any the author wrote,
+ * named or numeric).
+ * @param {string} text - Text to unescape
+ * @returns {string} Unescaped text
+ */
+function unescapeText(text) {
+    if (!text) return '';
+    return decodeHtmlEntities(text);
+}
+
+/**
+ * Swap each character for its form in a character map (SUPERSCRIPTS, SUBSCRIPTS).
+ * @param {string} text - Text to convert
+ * @param {Record<string, string>} map - Replacement for each character
+ * @returns {string} Converted text; characters missing from the map are kept
+ */
+function mapCharacters(text, map) {
+    return [...text].map(char => map[char] ?? char).join('');
+}
+
+/**
+ * Convert Markdown formatting characters to Unicode look-alikes.
+ * This prevents WhatsApp from interpreting escaped characters as formatting.
+ * @param {string} char - The escaped character
+ * @returns {string} Unicode look-alike character
+ */
+function escapeForWhatsApp(char) {
+    return LOOK_ALIKES[char] || char;
+}
+
+/**
+ * Render inline tokens as plain text (no formatting markers).
+ * Used for content inside monospace blocks like tables where formatting doesn't work.
+ * @param {Array} tokens - Array of inline tokens
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Plain text without formatting markers
+ */
+function renderPlainText(tokens, ctx) {
+    if (!tokens || !Array.isArray(tokens)) {
+        return '';
+    }
+
+    const renderDefault = (token) => {
+        switch (token.type) {
+            case 'strong':
+            case 'em':
+            case 'del':
+                // Strip formatting markers, just return content
+                return renderPlainText(token.tokens, ctx);
+
+            case 'codespan':
+                // Keep code content but without backticks
+                return token.text;
 
             case 'link':
-                // Link: [text](url) → text (url)
-                result.push(`${renderInline(token.tokens)} (${token.href})`);
-                break;
+                // Link as "text (url)"
+                return formatLink(token, renderPlainText(token.tokens, ctx), ctx);
 
             case 'image':
-                // Image: ![alt](url) → [alt: url]
-                result.push(`[${token.text}: ${token.href}]`);
-                break;
+                return '[' + token.text + ']';
+
+            case 'text':
+                return expandEmojiShortcodes(unescapeText(token.text), ctx);
+
+            case 'escape':
+                return token.text;
+
+            case 'br':
+                return ' ';
+
+            case 'footnoteRef':
+                return renderFootnoteRef(token, ctx);
+
+            case 'math':
+                return latexToUnicode(token.text) ?? token.text;
+
+            default:
+                return token.raw || token.text || '';
+        }
+    };
+    return translateInlineHtml(tokens, ctx)
+        .map(token => renderWithHooks(token, ctx, ctx.hooks.inline, renderDefault))
+        .join('');
+}
+
+// =================================================================================================
+// FRONT MATTER (per-document settings)
+// =================================================================================================
+
+/**
+ * Value aliases accepted in front matter, per option (same as the md2wa flags).
+ * @type {Record<string, Record<string, string>>}
+ */
+const FRONT_MATTER_ALIASES = {
+    tableFormat: { list: 'always' }
+};
+
+/**
+ * Values accepted by the options that take one of a fixed set of names, checked in front
+ * matter and by the md2wa flags. The target names are the keys of OUTPUT_TARGETS.
+ * @type {Record<string, Array<string>>}
+ */
+const OPTION_VALUES = {
+    inputFormat: ['markdown', 'html'],
+    profile: Object.keys(PROFILE_DEFAULTS),
+    tableFormat: ['auto', 'ascii', 'always'],
+    tableBorder: Object.keys(TABLE_BORDERS),
+    headingTheme: Object.keys(HEADING_THEMES),
+    linkStyle: ['inline', 'reference', 'url', 'text'],
+    footnoteStyle: ['superscript', 'brackets']
+};
+
+/**
+ * Read the optional front matter at the top of a document: a block between "---" lines
+ * holding "key: value" settings. Keys are option names (tableFormat), or the same in
+ * kebab-case or snake_case (table-format, table_format); values are converted to the
+ * type of the option's default. Indented lines and list items (other tools' nested
+ * settings) are skipped.
+ * A leading "---" block with other content, or without a single converter option among its
+ * keys, is a horizontal rule or a heading ("---\nNote: text\n---"), not front matter.
+ * @param {string} source - Document with normalized line endings
+ * @returns {{end: number, settings: Object, problems: Array<{line: number, severity: string, message: string}>}}
+ *   Offset where the Markdown starts (0 without front matter), options set, and problems found
+ */
+function parseFrontMatter(source) {
+    const none = { end: 0, settings: {}, problems: [] };
+    const match = source.match(/^---[ \t]*\n([\s\S]*?\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+    if (!match) {
+        return none;
+    }
+
+    const lines = (match[1] || '').split('\n');
+    const isSetting = (line) => /^[A-Za-z_][\w-]*[ \t]*:(?:[ \t]|$)/.test(line);
+    const isSkipped = (line) => !line.trim() || /^[ \t]|^#|^-[ \t]/.test(line);
+    if (!lines.every(line => isSetting(line) || isSkipped(line))) {
+        return none;
+    }
+    const optionName = (line) => line.slice(0, line.indexOf(':')).trim()
+        .replace(/[-_]+([a-z])/g, (_, letter) => letter.toUpperCase());
+    const isOption = (name) => Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, name) && name !== 'inputFormat';
+    if (!lines.some(line => !isSkipped(line) && isOption(optionName(line)))) {
+        return none;
+    }
+
+    const settings = {};
+    const problems = [];
+    lines.forEach((line, index) => {
+        if (isSkipped(line)) {
+            return;
+        }
+        const separator = line.indexOf(':');
+        const key = line.slice(0, separator).trim();
+        const name = optionName(line);
+        const value = line.slice(separator + 1).replace(/[ \t]+#.*$/, '').trim();
+        const problem = (severity, message) => problems.push({ line: index + 2, severity, message });
+
+        if (!isOption(name)) {
+            problem('info', `Front matter setting is not a converter option and was ignored: ${key}`);
+            return;
+        }
+        const parsed = parseFrontMatterValue(name, value);
+        if (parsed === undefined) {
+            problem('warning', `Front matter value is not valid for ${name} and was ignored: ${value}`);
+            return;
+        }
+        settings[name] = parsed;
+    });
+
+    return { end: match[0].length, settings, problems };
+}
+
+/**
+ * Convert a front matter value to the type of the option's default. Names are checked
+ * against OPTION_VALUES (and OUTPUT_TARGETS, ORDERED_NUMBERING_SCHEMES); free text
+ * options (titles, markers) take any value.
+ * @param {string} name - Option name
+ * @param {string} value - Value as written, optionally quoted
+ * @returns {*} Option value, or undefined when it does not fit the option
+ */
+function parseFrontMatterValue(name, value) {
+    const text = /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+    switch (typeof DEFAULT_OPTIONS[name]) {
+        case 'number': {
+            return /^\d+$/.test(text) ? parseInt(text, 10) : undefined;
+        }
+        case 'boolean': {
+            if (['true', 'yes', 'on'].includes(text.toLowerCase())) return true;
+            if (['false', 'no', 'off'].includes(text.toLowerCase())) return false;
+            return undefined;
+        }
+        case 'string': {
+            const aliases = FRONT_MATTER_ALIASES[name] || {};
+            const resolved = aliases[text] || text;
+            if (name === 'orderedNumbering') {
+                const schemes = resolved.split(',').map(scheme => scheme.trim());
+                return schemes.every(scheme => ORDERED_NUMBERING_SCHEMES.includes(scheme)) ? resolved : undefined;
+            }
+            const allowed = name === 'target' ? Object.keys(OUTPUT_TARGETS) : OPTION_VALUES[name];
+            return !allowed || allowed.includes(resolved) ? resolved : undefined;
+        }
+        default:
+            // Structured options (headerEmojis) can't be written as a single value
+            return undefined;
+    }
+}
+
+// =================================================================================================
+// FOOTNOTES
+// =================================================================================================
+
+/**
+ * Superscript digits for footnote markers.
+ * @type {Array<string>}
+ */
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+/**
+ * marked extensions for GFM footnotes. Without them marked reads "[^1]: text" as
+ * a link reference definition and "[^1]" as a link to "text".
+ * - footnoteDef (block): "[^label]: body", continued by indented lines
+ * - footnoteRef (inline): "[^label]"
+ * @type {Array<Object>}
+ */
+const FOOTNOTE_EXTENSIONS = [
+    {
+        name: 'footnoteDef',
+        level: 'block',
+        start(src) {
+            return src.match(/^\[\^[^\]\s]+\]:/m)?.index;
+        },
+        tokenizer(src) {
+            const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n[ \t]+[^\n]*)*)(?:\n|$)/.exec(src);
+            if (match) {
+                const token = { type: 'footnoteDef', raw: match[0], label: match[1], text: match[2], tokens: [] };
+                // Continuation lines join the first one; the body is rendered as inline text
+                this.lexer.inline(match[2].replace(/\n[ \t]+/g, ' '), token.tokens);
+                return token;
+            }
+        }
+    },
+    {
+        name: 'footnoteRef',
+        level: 'inline',
+        start(src) {
+            const index = src.indexOf('[^');
+            return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = /^\[\^([^\]\s]+)\]/.exec(src);
+            if (match) {
+                return { type: 'footnoteRef', raw: match[0], label: match[1] };
+            }
+        }
+    }
+];
+
+/**
+ * Remember every footnote definition so references can be resolved wherever they appear.
+ * @param {Array} tokens - Tokens to search (nested lists and quotes included)
+ * @param {Object} ctx - Conversion context
+ */
+function collectFootnoteDefinitions(tokens, ctx) {
+    for (const token of tokens) {
+        if (token.type === 'footnoteDef') {
+            if (!ctx.footnoteDefinitions.has(token.label)) {
+                ctx.footnoteDefinitions.set(token.label, token);
+            }
+        } else if (token.type === 'list') {
+            token.items.forEach(item => collectFootnoteDefinitions(item.tokens, ctx));
+        } else if (token.type === 'blockquote' || token.type === 'alert') {
+            collectFootnoteDefinitions(token.tokens, ctx);
+        }
+    }
+}
+
+/**
+ * Render a footnote reference, numbering footnotes in order of first reference.
+ * References without a definition are kept as written.
+ * @param {Object} token - footnoteRef token
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Marker such as ¹ or [1]
+ */
+function renderFootnoteRef(token, ctx) {
+    if (!ctx.footnoteDefinitions.has(token.label)) {
+        addDiagnostic(ctx, token, 'warning', 'missing-footnote', `Footnote ${token.raw} has no definition`);
+        return token.raw;
+    }
+
+    let index = ctx.footnotes.indexOf(token.label);
+    if (index === -1) {
+        index = ctx.footnotes.push(token.label) - 1;
+    }
+    return footnoteMarker(index + 1, ctx);
+}
+
+/**
+ * Format a footnote number according to the footnoteStyle option.
+ * @param {number} number - Footnote number
+ * @param {Object} ctx - Conversion context
+ * @returns {string} ¹² style or [12] style marker
+ */
+function footnoteMarker(number, ctx) {
+    if (ctx.options.footnoteStyle === 'brackets') {
+        return `[${number}]`;
+    }
+    return String(number).split('').map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+}
+
+/**
+ * Render the bodies of the referenced footnotes, in number order.
+ * Definitions nobody references are left out and reported.
+ * @param {Object} ctx - Conversion context
+ * @returns {?string} Notes block, or null when nothing was referenced
+ */
+function renderFootnotes(ctx) {
+    const lines = [];
+    // Footnote bodies may reference further footnotes, which extends the list while looping
+    for (let i = 0; i < ctx.footnotes.length; i++) {
+        const definition = ctx.footnoteDefinitions.get(ctx.footnotes[i]);
+        // Diagnostics from the body point at the definition
+        ctx.blockOffset = Math.max(0, ctx.source.indexOf(definition.raw));
+        lines.push(footnoteMarker(i + 1, ctx) + ' ' + renderInline(definition.tokens, ctx));
+    }
+
+    for (const [label, definition] of ctx.footnoteDefinitions) {
+        if (!ctx.footnotes.includes(label)) {
+            ctx.blockOffset = Math.max(0, ctx.source.indexOf(definition.raw));
+            addDiagnostic(ctx, definition, 'info', 'unused-footnote', `Footnote [^${label}] is never referenced and was dropped`);
+        }
+    }
+
+    if (lines.length === 0) {
+        return null;
+    }
+    const title = ctx.options.notesTitle;
+    return (title ? [mark(title, 'bold', ctx), ...lines] : lines).join('\n');
+}
+
+// =================================================================================================
+// ALERTS AND CALLOUT CONTAINERS
+// =================================================================================================
+
+/**
+ * Alert types of GitHub's "> [!TYPE]" syntax. Other "[!...]" quotes stay plain quotes.
+ * @type {Array<string>}
+ */
+const GITHUB_ALERT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+/**
+ * marked extensions for callouts, both lexed into 'alert' tokens with the body as block tokens:
+ * - GitHub alerts: a quote whose first line is [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] or [!CAUTION]
+ * - Containers: ":::type" (optionally followed by a title, or ":::type[Title]") up to a ":::" line;
+ *   nested containers use longer fences (::::)
+ * @type {Array<Object>}
+ */
+const ALERT_EXTENSIONS = [
+    {
+        name: 'githubAlert',
+        level: 'block',
+        start(src) {
+            return src.match(/^ {0,3}> ?\[!/m)?.index;
+        },
+        tokenizer(src) {
+            const match = /^ {0,3}> ?\[!(\w+)\][ \t]*(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/.exec(src);
+            if (match && GITHUB_ALERT_TYPES.includes(match[1].toLowerCase())) {
+                const body = match[2].replace(/^ {0,3}> ?/gm, '');
+                return { type: 'alert', raw: match[0], kind: match[1].toLowerCase(), titleTokens: [], tokens: this.lexer.blockTokens(body, []) };
+            }
+        }
+    },
+    {
+        name: 'container',
+        level: 'block',
+        start(src) {
+            return src.match(/^ {0,3}:{3,}[ \t]*\w/m)?.index;
+        },
+        tokenizer(src) {
+            const open = /^ {0,3}(:{3,})[ \t]*(\w[\w-]*)(?:\[([^\]\n]*)\])?[ \t]*([^\n]*)\n/.exec(src);
+            if (!open) {
+                return;
+            }
+            const rest = src.slice(open[0].length);
+            const close = new RegExp(`^ {0,3}${open[1]}[ \\t]*$`, 'm').exec(rest);
+            if (!close) {
+                return;
+            }
+            const end = open[0].length + close.index + close[0].length;
+            const raw = src.slice(0, src[end] === '\n' ? end + 1 : end);
+            const token = { type: 'alert', raw, kind: open[2].toLowerCase(), titleTokens: [], tokens: [] };
+            this.lexer.inline((open[3] ?? open[4]).trim(), token.titleTokens);
+            token.tokens = this.lexer.blockTokens(rest.slice(0, close.index), []);
+            return token;
+        }
+    }
+];
+
+/**
+ * Render an alert as a callout: the type's emoji and a bold title (the container's own
+ * title, or the type's label), followed by the body as a quote.
+ * Types without a style are titled with their name.
+ * @param {Object} token - Alert token (see ALERT_EXTENSIONS)
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted callout
+ */
+function renderAlert(token, ctx) {
+    const style = alertStyle(token.kind, ctx);
+    const title = token.titleTokens.length > 0 ? renderInlineForHeader(token.titleTokens, ctx) : style.label;
+    const heading = [style.emoji, title].filter(Boolean).join(' ');
+    const body = renderBlockquote(token, ctx);
+    return [heading && mark(heading, 'bold', ctx), body].filter(Boolean).join('\n');
+}
+
+/**
+ * Look up the emoji and label of an alert type, falling back field by field to ALERT_STYLES.
+ * @param {string} kind - Alert type, lowercase
+ * @param {Object} ctx - Conversion context
+ * @returns {{emoji: string, label: string}} Alert style
+ */
+function alertStyle(kind, ctx) {
+    const fallback = ALERT_STYLES[kind] || { emoji: '', label: kind.charAt(0).toUpperCase() + kind.slice(1) };
+    return { ...fallback, ...(ctx.options.alerts || {})[kind] };
+}
+
+// =================================================================================================
+// MATH (LaTeX to Unicode)
+// =================================================================================================
+
+/**
+ * LaTeX commands that stand for a single character or word: Greek letters and other letters,
+ * large operators, delimiters, spacing and function names. Spaces after a letter are
+ * dropped, as TeX does ("\\pi r" is "πr").
+ * @type {Record<string, string>}
+ */
+const LATEX_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο',
+    pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+    neg: '¬', lnot: '¬', sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    partial: '∂', nabla: '∇', infty: '∞', emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃',
+    nexists: '∄', angle: '∠', prime: '′', degree: '°', circ: '∘',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', lbrace: '{', rbrace: '}',
+    ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+    quad: ' ', qquad: '  ', ',': ' ', ';': ' ', ':': ' ', ' ': ' ', '!': '', '\\': '\n',
+    '{': '{', '}': '}', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_', '|': '‖',
+    left: '', right: '', big: '', Big: '', bigg: '', Bigg: '', displaystyle: '', limits: '', nolimits: '',
+    sin: 'sin', cos: 'cos', tan: 'tan', cot: 'cot', sec: 'sec', csc: 'csc', arcsin: 'arcsin',
+    arccos: 'arccos', arctan: 'arctan', sinh: 'sinh', cosh: 'cosh', tanh: 'tanh', log: 'log', ln: 'ln',
+    lg: 'lg', exp: 'exp', lim: 'lim', max: 'max', min: 'min', sup: 'sup', inf: 'inf', det: 'det',
+    gcd: 'gcd', deg: 'deg', dim: 'dim', ker: 'ker', arg: 'arg'
+};
+
+/**
+ * LaTeX binary operators, relations and arrows, set off by a space on each side.
+ * @type {Record<string, string>}
+ */
+const LATEX_OPERATORS = {
+    pm: '±', mp: '∓', times: '×', div: '÷', cdot: '·', ast: '∗', star: '⋆', bullet: '•', oplus: '⊕',
+    otimes: '⊗', setminus: '∖', cup: '∪', cap: '∩', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+    mod: 'mod', bmod: 'mod', perp: '⊥', parallel: '∥', mid: '∣',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', ll: '≪', gg: '≫', approx: '≈', sim: '∼',
+    simeq: '≃', cong: '≅', equiv: '≡', propto: '∝', in: '∈', notin: '∉', ni: '∋', subset: '⊂',
+    subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    implies: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⇔', mapsto: '↦'
+};
+
+/**
+ * LaTeX commands whose argument is shown as written (text and font changes).
+ * @type {Set<string>}
+ */
+const LATEX_TEXT_COMMANDS = new Set([
+    'text', 'textrm', 'textbf', 'textit', 'textsf', 'texttt', 'mbox', 'operatorname',
+    'mathrm', 'mathbf', 'mathit', 'mathsf', 'mathtt', 'boldsymbol'
+]);
+
+/**
+ * Radical signs for the roots that have one; other indexes are written as a superscript.
+ * @type {Record<string, string>}
+ */
+const LATEX_ROOTS = { '': '√', '2': '√', '3': '∛', '4': '∜' };
+
+/**
+ * marked extensions for TeX math, lexed into 'math' tokens ({text, display}) before marked's
+ * own inline rules see the backslashes, carets and underscores:
+ * - blockMath (block): "$$" ... "$$" starting a line and ending one, possibly over several lines
+ * - inlineMath (inline): "$...$" or "$$...$$" within text. Like Pandoc, the opening "$" must be
+ *   followed by a non-space, and the closing one preceded by a non-space and not followed by a
+ *   digit, so amounts such as "$5 and $10" stay text
+ * @type {Array<Object>}
+ */
+const MATH_EXTENSIONS = [
+    {
+        name: 'blockMath',
+        level: 'block',
+        start(src) {
+            return src.match(/^ {0,3}\$\$/m)?.index;
+        },
+        tokenizer(src) {
+            const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+            if (match && match[1].trim()) {
+                return { type: 'math', raw: match[0], text: match[1].trim(), display: true };
+            }
+        }
+    },
+    {
+        name: 'inlineMath',
+        level: 'inline',
+        start(src) {
+            const index = src.indexOf('$');
+            return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$|^\$(?!\s)((?:\\[\s\S]|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+            if (match) {
+                return { type: 'math', raw: match[0], text: (match[1] ?? match[2]).trim(), display: false };
+            }
+        }
+    }
+];
+
+/**
+ * Render a math token: inline math as Unicode text, display math as a monospace block.
+ * LaTeX that can't be converted is kept as written, as inline code or in the block.
+ * @param {Object} token - Math token (see MATH_EXTENSIONS)
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Formatted math
+ */
+function renderMath(token, ctx) {
+    const text = latexToUnicode(token.text);
+    if (text === null) {
+        addDiagnostic(ctx, token, 'info', 'math-as-code',
+            `LaTeX with no Unicode equivalent was kept as code: ${token.text}`);
+    }
+    if (token.display) {
+        return renderCodeBlock({ text: text ?? token.text }, ctx);
+    }
+    return text === null ? renderCodespan(token.text, ctx) : protectLiterals(text, ctx);
+}
+
+/**
+ * Convert the common subset of LaTeX math to Unicode text: Greek letters, operators and
+ * relations (LATEX_SYMBOLS, LATEX_OPERATORS), super/subscripts (as far as Unicode has the characters),
+ * fractions (written a/b) and roots.
+ * @param {string} tex - LaTeX source, without delimiters
+ * @returns {?string} Unicode text, or null when something in it can't be converted
+ */
+function latexToUnicode(tex) {
+    const state = { tex, index: 0 };
+    const text = readLatex(state, '');
+    if (text === null || state.index < tex.length) {
+        return null;
+    }
+    return text.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n');
+}
+
+/**
+ * Read LaTeX up to a closing character ('}' or ']', left unread) or the end of the source.
+ * @param {{tex: string, index: number}} state - Source and read position
+ * @param {string} closer - Character that ends the group ('' for the whole source)
+ * @returns {?string} Unicode text, or null when something can't be converted
+ */
+function readLatex(state, closer) {
+    let text = '';
+
+    while (state.index < state.tex.length && state.tex[state.index] !== closer) {
+        const char = state.tex[state.index];
+        let part;
+        if (char === '^' || char === '_') {
+            state.index++;
+            const argument = readLatexArgument(state);
+            const map = char === '^' ? SUPERSCRIPTS : SUBSCRIPTS;
+            const script = argument === null ? [] : [...argument.replace(/\s+/g, '')];
+            part = script.length > 0 && script.every(c => map[c]) ? mapCharacters(script.join(''), map) : null;
+        } else if (char === '}' || char === '&') {
+            part = null; // Unbalanced brace, or an alignment (matrices, aligned equations)
+        } else {
+            part = readLatexAtom(state);
+        }
+        if (part === null) {
+            return null;
+        }
+        text += part;
+    }
+
+    return closer && state.index >= state.tex.length ? null : text;
+}
+
+/**
+ * Read the argument of a command or script: a {group}, a command or a single character.
+ * @param {{tex: string, index: number}} state - Source and read position
+ * @returns {?string} Unicode text of the argument, or null when it can't be converted
+ */
+function readLatexArgument(state) {
+    while (/\s/.test(state.tex[state.index] || '')) {
+        state.index++;
+    }
+    if (state.index >= state.tex.length || '}^_&'.includes(state.tex[state.index])) {
+        return null;
+    }
+    return readLatexAtom(state);
+}
+
+/**
+ * Read one unit of LaTeX: a {group}, a command with its arguments, or a character.
+ * @param {{tex: string, index: number}} state - Source and read position
+ * @returns {?string} Unicode text, or null when it can't be converted
+ */
+function readLatexAtom(state) {
+    const char = state.tex[state.index];
+
+    if (char === '{') {
+        state.index++;
+        const group = readLatex(state, '}');
+        state.index++;
+        return group;
+    }
+    if (char === '~') {
+        state.index++;
+        return ' ';
+    }
+    if (char !== '\\') {
+        state.index++;
+        return char;
+    }
+
+    const name = /^\\([a-zA-Z]+|[\s\S]?)/.exec(state.tex.slice(state.index))[1];
+    state.index += 1 + name.length;
+
+    if (Object.prototype.hasOwnProperty.call(LATEX_OPERATORS, name)) {
+        return ' ' + LATEX_OPERATORS[name] + ' ';
+    }
+    if (Object.prototype.hasOwnProperty.call(LATEX_SYMBOLS, name)) {
+        if (/^\p{L}$/u.test(LATEX_SYMBOLS[name])) {
+            while (state.tex[state.index] === ' ') {
+                state.index++;
+            }
+        }
+        return LATEX_SYMBOLS[name];
+    }
+    if (LATEX_TEXT_COMMANDS.has(name)) {
+        return readLatexArgument(state);
+    }
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+        const numerator = readLatexArgument(state);
+        const denominator = numerator === null ? null : readLatexArgument(state);
+        return denominator === null ? null : latexOperand(numerator) + '/' + latexOperand(denominator);
+    }
+    if (name === 'sqrt') {
+        let index = '';
+        if (state.tex[state.index] === '[') {
+            state.index++;
+            index = readLatex(state, ']');
+            state.index++;
+        }
+        const radicand = index === null ? null : readLatexArgument(state);
+        if (radicand === null) {
+            return null;
+        }
+        const sign = LATEX_ROOTS[index.trim()]
+            ?? ([...index.trim()].every(c => SUPERSCRIPTS[c]) ? mapCharacters(index.trim(), SUPERSCRIPTS) + '√' : null);
+        return sign === null ? null : sign + latexOperand(radicand);
+    }
+    return null; // Unknown command, environment (\begin) or macro
+}
+
+/**
+ * Parenthesize a fraction or root operand unless it is a single term ("2", "xy", "π", "x²").
+ * @param {string} text - Operand as Unicode text
+ * @returns {string} Operand, parenthesized when needed
+ */
+function latexOperand(text) {
+    const trimmed = text.trim();
+    return /^[\p{L}\p{N}.]+$/u.test(trimmed) ? trimmed : '(' + trimmed + ')';
+}
+
+// =================================================================================================
+// EMOJI SHORTCODES
+// =================================================================================================
+
+/**
+ * Emoji by shortcode name, following GitHub's and Slack's naming (both names where they differ).
+ * Bundled so conversion works offline; covers the commonly used names rather than every emoji.
+ * @type {Record<string, string>}
+ */
+const EMOJI_SHORTCODES = {
+    smile: '😄', smiley: '😃', grinning: '😀', grin: '😁', laughing: '😆', satisfied: '😆', sweat_smile: '😅',
+    rofl: '🤣', joy: '😂', slightly_smiling_face: '🙂', upside_down_face: '🙃', wink: '😉', blush: '😊',
+    innocent: '😇', smiling_face_with_three_hearts: '🥰', heart_eyes: '😍', star_struck: '🤩',
+    kissing_heart: '😘', yum: '😋', stuck_out_tongue: '😛', stuck_out_tongue_winking_eye: '😜', zany_face: '🤪',
+    money_mouth_face: '🤑', hugs: '🤗', hugging_face: '🤗', hand_over_mouth: '🤭', shushing_face: '🤫',
+    thinking: '🤔', thinking_face: '🤔', zipper_mouth_face: '🤐', raised_eyebrow: '🤨', neutral_face: '😐',
+    expressionless: '😑', no_mouth: '😶', smirk: '😏', unamused: '😒', roll_eyes: '🙄',
+    face_with_rolling_eyes: '🙄', grimacing: '😬', lying_face: '🤥', relieved: '😌', pensive: '😔', sleepy: '😪',
+    sleeping: '😴', mask: '😷', face_with_thermometer: '🤒', nauseated_face: '🤢', sneezing_face: '🤧',
+    hot_face: '🥵', cold_face: '🥶', dizzy_face: '😵', exploding_head: '🤯', cowboy_hat_face: '🤠',
+    partying_face: '🥳', sunglasses: '😎', nerd_face: '🤓', monocle_face: '🧐', confused: '😕', worried: '😟',
+    slightly_frowning_face: '🙁', open_mouth: '😮', hushed: '😯', astonished: '😲', flushed: '😳',
+    pleading_face: '🥺', frowning: '😦', anguished: '😧', fearful: '😨', cold_sweat: '😰',
+    disappointed_relieved: '😥', cry: '😢', sob: '😭', scream: '😱', confounded: '😖', persevere: '😣',
+    disappointed: '😞', sweat: '😓', weary: '😩', tired_face: '😫', yawning_face: '🥱', triumph: '😤', rage: '😡',
+    pout: '😡', angry: '😠', cursing_face: '🤬', smiling_imp: '😈', imp: '👿', skull: '💀', poop: '💩', hankey: '💩',
+    clown_face: '🤡', ghost: '👻', alien: '👽', robot: '🤖', see_no_evil: '🙈', hear_no_evil: '🙉',
+    speak_no_evil: '🙊', wave: '👋', raised_back_of_hand: '🤚', raised_hand: '✋', hand: '✋', vulcan_salute: '🖖',
+    ok_hand: '👌', pinched_fingers: '🤌', v: '✌️', crossed_fingers: '🤞', love_you_gesture: '🤟', metal: '🤘',
+    call_me_hand: '🤙', point_left: '👈', point_right: '👉', point_up_2: '👆', point_down: '👇', point_up: '☝️',
+    '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎', fist: '✊', fist_raised: '✊', facepunch: '👊',
+    punch: '👊', fist_oncoming: '👊', clap: '👏', raised_hands: '🙌', open_hands: '👐', handshake: '🤝', pray: '🙏',
+    writing_hand: '✍️', muscle: '💪', eyes: '👀', eye: '👁️', brain: '🧠', speaking_head: '🗣️',
+    bust_in_silhouette: '👤', busts_in_silhouette: '👥', man_shrugging: '🤷‍♂️', woman_shrugging: '🤷‍♀️',
+    shrug: '🤷', man_facepalming: '🤦‍♂️', woman_facepalming: '🤦‍♀️', facepalm: '🤦', technologist: '🧑‍💻',
+    man_technologist: '👨‍💻', woman_technologist: '👩‍💻', ninja: '🥷', superhero: '🦸', detective: '🕵️',
+    running: '🏃', runner: '🏃', dancer: '💃', heart: '❤️', orange_heart: '🧡', yellow_heart: '💛',
+    green_heart: '💚', blue_heart: '💙', purple_heart: '💜', black_heart: '🖤', white_heart: '🤍',
+    broken_heart: '💔', two_hearts: '💕', sparkling_heart: '💖', heartpulse: '💗', heartbeat: '💓', '100': '💯',
+    anger: '💢', boom: '💥', collision: '💥', dizzy: '💫', sweat_drops: '💦', dash: '💨', speech_balloon: '💬',
+    thought_balloon: '💭', zzz: '💤', fire: '🔥', sparkles: '✨', star: '⭐', star2: '🌟', zap: '⚡', sunny: '☀️',
+    cloud: '☁️', umbrella: '☂️', snowflake: '❄️', rainbow: '🌈', ocean: '🌊', earth_africa: '🌍',
+    earth_americas: '🌎', earth_asia: '🌏', globe_with_meridians: '🌐', crescent_moon: '🌙', new_moon: '🌑',
+    full_moon: '🌕', sun_with_face: '🌞', droplet: '💧', tornado: '🌪️', seedling: '🌱', evergreen_tree: '🌲',
+    deciduous_tree: '🌳', palm_tree: '🌴', cactus: '🌵', herb: '🌿', four_leaf_clover: '🍀', maple_leaf: '🍁',
+    fallen_leaf: '🍂', mushroom: '🍄', rose: '🌹', tulip: '🌷', sunflower: '🌻', cherry_blossom: '🌸',
+    bouquet: '💐', dog: '🐶', cat: '🐱', mouse: '🐭', rabbit: '🐰', fox_face: '🦊', bear: '🐻', panda_face: '🐼',
+    koala: '🐨', tiger: '🐯', lion: '🦁', cow: '🐮', pig: '🐷', frog: '🐸', monkey_face: '🐵', monkey: '🐒',
+    chicken: '🐔', penguin: '🐧', bird: '🐦', baby_chick: '🐤', duck: '🦆', eagle: '🦅', owl: '🦉', bat: '🦇',
+    wolf: '🐺', horse: '🐴', unicorn: '🦄', bee: '🐝', honeybee: '🐝', bug: '🐛', butterfly: '🦋', snail: '🐌',
+    beetle: '🐞', lady_beetle: '🐞', ant: '🐜', spider: '🕷️', turtle: '🐢', snake: '🐍', octopus: '🐙', crab: '🦀',
+    whale: '🐳', dolphin: '🐬', fish: '🐟', tropical_fish: '🐠', shark: '🦈', elephant: '🐘', camel: '🐫',
+    giraffe: '🦒', sloth: '🦥', otter: '🦦', dragon: '🐉', 't-rex': '🦖', sauropod: '🦕', apple: '🍎',
+    green_apple: '🍏', pear: '🍐', tangerine: '🍊', lemon: '🍋', banana: '🍌', watermelon: '🍉', grapes: '🍇',
+    strawberry: '🍓', cherries: '🍒', peach: '🍑', mango: '🥭', pineapple: '🍍', coconut: '🥥', kiwi_fruit: '🥝',
+    tomato: '🍅', avocado: '🥑', eggplant: '🍆', potato: '🥔', carrot: '🥕', corn: '🌽', hot_pepper: '🌶️',
+    broccoli: '🥦', bread: '🍞', croissant: '🥐', cheese: '🧀', egg: '🥚', bacon: '🥓', hamburger: '🍔', fries: '🍟',
+    pizza: '🍕', hotdog: '🌭', sandwich: '🥪', taco: '🌮', burrito: '🌯', popcorn: '🍿', ramen: '🍜',
+    spaghetti: '🍝', sushi: '🍣', rice: '🍚', curry: '🍛', bento: '🍱', doughnut: '🍩', cookie: '🍪', cake: '🍰',
+    birthday: '🎂', cupcake: '🧁', chocolate_bar: '🍫', candy: '🍬', lollipop: '🍭', ice_cream: '🍨', coffee: '☕',
+    tea: '🍵', beer: '🍺', beers: '🍻', clinking_glasses: '🥂', wine_glass: '🍷', cocktail: '🍸',
+    tropical_drink: '🍹', champagne: '🍾', cup_with_straw: '🥤', fork_and_knife: '🍴', soccer: '⚽',
+    basketball: '🏀', football: '🏈', baseball: '⚾', tennis: '🎾', volleyball: '🏐', '8ball': '🎱', golf: '⛳',
+    trophy: '🏆', medal_sports: '🏅', '1st_place_medal': '🥇', '2nd_place_medal': '🥈', '3rd_place_medal': '🥉',
+    dart: '🎯', video_game: '🎮', game_die: '🎲', jigsaw: '🧩', chess_pawn: '♟️', art: '🎨', performing_arts: '🎭',
+    tickets: '🎟️', ticket: '🎫', clapper: '🎬', microphone: '🎤', headphones: '🎧', musical_note: '🎵',
+    notes: '🎶', guitar: '🎸', piano: '🎹', trumpet: '🎺', violin: '🎻', drum: '🥁', tada: '🎉', confetti_ball: '🎊',
+    balloon: '🎈', gift: '🎁', ribbon: '🎀', christmas_tree: '🎄', jack_o_lantern: '🎃', fireworks: '🎆',
+    sparkler: '🎇', car: '🚗', red_car: '🚗', taxi: '🚕', bus: '🚌', ambulance: '🚑', fire_engine: '🚒',
+    police_car: '🚓', truck: '🚚', articulated_lorry: '🚛', tractor: '🚜', racing_car: '🏎️', motorcycle: '🏍️',
+    bike: '🚲', kick_scooter: '🛴', train: '🚋', train2: '🚆', bullettrain_side: '🚄', metro: '🚇', airplane: '✈️',
+    flight_departure: '🛫', flight_arrival: '🛬', helicopter: '🚁', rocket: '🚀', flying_saucer: '🛸',
+    satellite: '🛰️', boat: '⛵', sailboat: '⛵', ship: '🚢', anchor: '⚓', fuelpump: '⛽', construction: '🚧',
+    vertical_traffic_light: '🚦', traffic_light: '🚥', rotating_light: '🚨', checkered_flag: '🏁',
+    triangular_flag_on_post: '🚩', world_map: '🗺️', compass: '🧭', mountain: '⛰️', volcano: '🌋', camping: '🏕️',
+    beach_umbrella: '🏖️', desert: '🏜️', house: '🏠', house_with_garden: '🏡', office: '🏢', hospital: '🏥',
+    bank: '🏦', hotel: '🏨', school: '🏫', factory: '🏭', european_castle: '🏰', stadium: '🏟️',
+    statue_of_liberty: '🗽', tent: '⛺', bridge_at_night: '🌉', watch: '⌚', iphone: '📱', calling: '📲',
+    computer: '💻', desktop_computer: '🖥️', keyboard: '⌨️', computer_mouse: '🖱️', printer: '🖨️',
+    floppy_disk: '💾', cd: '💿', dvd: '📀', minidisc: '💽', camera: '📷', camera_flash: '📸', video_camera: '📹',
+    movie_camera: '🎥', tv: '📺', radio: '📻', telephone_receiver: '📞', phone: '☎️', telephone: '☎️',
+    pager: '📟', fax: '📠', battery: '🔋', electric_plug: '🔌', bulb: '💡', flashlight: '🔦', candle: '🕯️',
+    moneybag: '💰', dollar: '💵', euro: '💶', pound: '💷', yen: '💴', money_with_wings: '💸', credit_card: '💳',
+    gem: '💎', balance_scale: '⚖️', wrench: '🔧', hammer: '🔨', hammer_and_wrench: '🛠️', pick: '⛏️',
+    nut_and_bolt: '🔩', gear: '⚙️', toolbox: '🧰', magnet: '🧲', link: '🔗', chains: '⛓️', paperclip: '📎',
+    paperclips: '🖇️', straight_ruler: '📏', triangular_ruler: '📐', scissors: '✂️', lock: '🔒', unlock: '🔓',
+    closed_lock_with_key: '🔐', key: '🔑', old_key: '🗝️', shield: '🛡️', gun: '🔫', bomb: '💣', test_tube: '🧪',
+    petri_dish: '🧫', dna: '🧬', microscope: '🔬', telescope: '🔭', pill: '💊', syringe: '💉', stethoscope: '🩺',
+    door: '🚪', bed: '🛏️', couch_and_lamp: '🛋️', toilet: '🚽', shower: '🚿', bathtub: '🛁', broom: '🧹',
+    basket: '🧺', soap: '🧼', shopping_cart: '🛒', smoking: '🚬', hourglass: '⌛', hourglass_flowing_sand: '⏳',
+    alarm_clock: '⏰', stopwatch: '⏱️', timer_clock: '⏲️', clock1: '🕐', clock3: '🕒', clock12: '🕛',
+    calendar: '📆', date: '📅', spiral_calendar: '🗓️', memo: '📝', pencil: '📝', pencil2: '✏️', black_nib: '✒️',
+    pen: '🖊️', fountain_pen: '🖋️', paintbrush: '🖌️', crayon: '🖍️', page_facing_up: '📄', page_with_curl: '📃',
+    bookmark_tabs: '📑', bar_chart: '📊', chart_with_upwards_trend: '📈', chart_with_downwards_trend: '📉',
+    clipboard: '📋', pushpin: '📌', round_pushpin: '📍', file_folder: '📁', open_file_folder: '📂',
+    card_index_dividers: '🗂️', card_file_box: '🗃️', file_cabinet: '🗄️', wastebasket: '🗑️', newspaper: '📰',
+    notebook: '📓', ledger: '📒', closed_book: '📕', green_book: '📗', blue_book: '📘', orange_book: '📙',
+    books: '📚', book: '📖', open_book: '📖', bookmark: '🔖', label: '🏷️', email: '📧', 'e-mail': '📧',
+    envelope: '✉️', incoming_envelope: '📨', envelope_with_arrow: '📩', outbox_tray: '📤', inbox_tray: '📥',
+    package: '📦', mailbox: '📫', postbox: '📮', loudspeaker: '📢', mega: '📣', bell: '🔔', no_bell: '🔕',
+    mute: '🔇', sound: '🔉', loud_sound: '🔊', mag: '🔍', mag_right: '🔎', crystal_ball: '🔮',
+    white_check_mark: '✅', heavy_check_mark: '✔️', ballot_box_with_check: '☑️', x: '❌',
+    negative_squared_cross_mark: '❎', heavy_multiplication_x: '✖️', heavy_plus_sign: '➕',
+    heavy_minus_sign: '➖', heavy_division_sign: '➗', warning: '⚠️', no_entry: '⛔', no_entry_sign: '🚫',
+    stop_sign: '🛑', octagonal_sign: '🛑', bangbang: '‼️', interrobang: '⁉️', question: '❓',
+    grey_question: '❔', exclamation: '❗', heavy_exclamation_mark: '❗', grey_exclamation: '❕',
+    information_source: 'ℹ️', sos: '🆘', ok: '🆗', new: '🆕', free: '🆓', up: '🆙', cool: '🆒', top: '🔝',
+    soon: '🔜', back: '🔙', end: '🔚', on: '🔛', recycle: '♻️', beginner: '🔰', trident: '🔱', name_badge: '📛',
+    copyright: '©️', registered: '®️', tm: '™️', hash: '#️⃣', asterisk: '*️⃣', zero: '0️⃣', one: '1️⃣',
+    two: '2️⃣', three: '3️⃣', four: '4️⃣', five: '5️⃣', six: '6️⃣', seven: '7️⃣', eight: '8️⃣', nine: '9️⃣',
+    keycap_ten: '🔟', '1234': '🔢', abc: '🔤', arrow_up: '⬆️', arrow_down: '⬇️', arrow_left: '⬅️',
+    arrow_right: '➡️', arrow_upper_right: '↗️', arrow_lower_right: '↘️', arrow_lower_left: '↙️',
+    arrow_upper_left: '↖️', arrow_up_down: '↕️', left_right_arrow: '↔️', arrows_counterclockwise: '🔄',
+    arrows_clockwise: '🔃', leftwards_arrow_with_hook: '↩️', arrow_right_hook: '↪️', arrow_heading_up: '⤴️',
+    arrow_heading_down: '⤵️', twisted_rightwards_arrows: '🔀', repeat: '🔁', fast_forward: '⏩', rewind: '⏪',
+    arrow_forward: '▶️', arrow_backward: '◀️', pause_button: '⏸️', stop_button: '⏹️', record_button: '⏺️',
+    eject_button: '⏏️', red_circle: '🔴', orange_circle: '🟠', yellow_circle: '🟡', green_circle: '🟢',
+    large_blue_circle: '🔵', purple_circle: '🟣', black_circle: '⚫', white_circle: '⚪', red_square: '🟥',
+    orange_square: '🟧', yellow_square: '🟨', green_square: '🟩', blue_square: '🟦', purple_square: '🟪',
+    black_large_square: '⬛', white_large_square: '⬜', small_red_triangle: '🔺', small_red_triangle_down: '🔻',
+    large_orange_diamond: '🔶', large_blue_diamond: '🔷', small_orange_diamond: '🔸', small_blue_diamond: '🔹',
+    radio_button: '🔘', heavy_dollar_sign: '💲', currency_exchange: '💱', infinity: '♾️', o: '⭕',
+    white_flag: '🏳️', black_flag: '🏴', rainbow_flag: '🏳️‍🌈', pirate_flag: '🏴‍☠️', crossed_flags: '🎌',
+    us: '🇺🇸', uk: '🇬🇧', gb: '🇬🇧', de: '🇩🇪', fr: '🇫🇷', es: '🇪🇸', it: '🇮🇹', jp: '🇯🇵', cn: '🇨🇳', kr: '🇰🇷',
+    ru: '🇷🇺', eu: '🇪🇺', lipstick: '💄', ring: '💍', crown: '👑', tophat: '🎩', mortar_board: '🎓',
+    eyeglasses: '👓', dark_sunglasses: '🕶️', necktie: '👔', shirt: '👕', tshirt: '👕', jeans: '👖', dress: '👗',
+    handbag: '👜', briefcase: '💼', school_satchel: '🎒', athletic_shoe: '👟', hiking_boot: '🥾', billed_cap: '🧢',
+    thread: '🧵', yarn: '🧶', baby: '👶', boy: '👦', girl: '👧', man: '👨', woman: '👩', older_man: '👴',
+    older_woman: '👵', family: '👪', couple: '👫', santa: '🎅', angel: '👼', princess: '👸', prince: '🤴', cop: '👮',
+    police_officer: '👮', construction_worker: '👷', guard: '💂', mage: '🧙', vampire: '🧛', zombie: '🧟',
+    genie: '🧞', mermaid: '🧜‍♀️', elf: '🧝', raising_hand: '🙋', bow: '🙇', ok_woman: '🙆', no_good: '🙅',
+    information_desk_person: '💁', tipping_hand_person: '💁', walking: '🚶', person_fencing: '🤺', skier: '⛷️',
+    snowboarder: '🏂', surfer: '🏄', swimmer: '🏊', bicyclist: '🚴', mountain_bicyclist: '🚵',
+    weight_lifting: '🏋️', cartwheeling: '🤸', juggling_person: '🤹', lotus_position: '🧘', bath: '🛀',
+    sleeping_bed: '🛌', hotsprings: '♨️'
+};
+
+/**
+ * Replace :shortcode: names (":rocket:", ":white_check_mark:", ":+1:") with their emoji.
+ * Names missing from EMOJI_SHORTCODES, like the "12:30:45" of a time, are kept as written.
+ * @param {string} text - Plain text (never code)
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Text with emoji
+ */
+function expandEmojiShortcodes(text, ctx) {
+    if (!ctx.options.emojiShortcodes || !text.includes(':')) {
+        return text;
+    }
+    return text.replace(/:([\w+-]+):/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(EMOJI_SHORTCODES, name) ? EMOJI_SHORTCODES[name] : match);
+}
+
+// =================================================================================================
+// RICH TEXT (HTML) INPUT
+// =================================================================================================
+
+/**
+ * Elements that never have content or a closing tag.
+ * @type {Set<string>}
+ */
+const HTML_VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Elements whose content is never shown, skipped together with everything inside.
+ * @type {Set<string>}
+ */
+const HTML_SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'template', 'title', 'noscript', 'object']);
+
+/**
+ * Block-level elements: each one ends the current paragraph.
+ * @type {Set<string>}
+ */
+const HTML_BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dir', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'html', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+/**
+ * Named character references (the HTML 4 set plus &apos;), decoded in pasted HTML and in
+ * Markdown text. Numeric references are always decoded.
+ * @type {Record<string, string>}
+ */
+const HTML_ENTITIES = {
+    quot: '"', amp: '&', apos: "'", lt: '<', gt: '>', nbsp: '\u00A0', iexcl: '¡', cent: '¢', pound: '£',
+    curren: '¤', yen: '¥', brvbar: '¦', sect: '§', uml: '¨', copy: '©', ordf: 'ª', laquo: '«', not: '¬',
+    shy: '\u00AD', reg: '®', macr: '¯', deg: '°', plusmn: '±', sup2: '²', sup3: '³', acute: '´', micro: 'µ',
+    para: '¶', middot: '·', cedil: '¸', sup1: '¹', ordm: 'º', raquo: '»', frac14: '¼', frac12: '½',
+    frac34: '¾', iquest: '¿', Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å',
+    AElig: 'Æ', Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë', Igrave: 'Ì', Iacute: 'Í',
+    Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð', Ntilde: 'Ñ', Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö',
+    times: '×', Oslash: 'Ø', Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý', THORN: 'Þ',
+    szlig: 'ß', agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ',
+    ccedil: 'ç', egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î',
+    iuml: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö',
+    divide: '÷', oslash: 'ø', ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý', thorn: 'þ',
+    yuml: 'ÿ', OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+    Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Epsilon: 'Ε', Zeta: 'Ζ', Eta: 'Η', Theta: 'Θ', Iota: 'Ι',
+    Kappa: 'Κ', Lambda: 'Λ', Mu: 'Μ', Nu: 'Ν', Xi: 'Ξ', Omicron: 'Ο', Pi: 'Π', Rho: 'Ρ', Sigma: 'Σ', Tau: 'Τ',
+    Upsilon: 'Υ', Phi: 'Φ', Chi: 'Χ', Psi: 'Ψ', Omega: 'Ω', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ',
+    epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+    xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ', sigmaf: 'ς', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ',
+    chi: 'χ', psi: 'ψ', omega: 'ω', thetasym: 'ϑ', upsih: 'ϒ', piv: 'ϖ', ensp: '\u2002', emsp: '\u2003',
+    thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D', lrm: '\u200E', rlm: '\u200F', ndash: '–', mdash: '—',
+    lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', dagger: '†', Dagger: '‡',
+    bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', oline: '‾',
+    frasl: '⁄', euro: '€', image: 'ℑ', weierp: '℘', real: 'ℜ', trade: '™', alefsym: 'ℵ', larr: '←', uarr: '↑',
+    rarr: '→', darr: '↓', harr: '↔', crarr: '↵', lArr: '⇐', uArr: '⇑', rArr: '⇒', dArr: '⇓', hArr: '⇔',
+    forall: '∀', part: '∂', exist: '∃', empty: '∅', nabla: '∇', isin: '∈', notin: '∉', ni: '∋', prod: '∏',
+    sum: '∑', minus: '−', lowast: '∗', radic: '√', prop: '∝', infin: '∞', ang: '∠', and: '∧', or: '∨',
+    cap: '∩', cup: '∪', int: '∫', there4: '∴', sim: '∼', cong: '≅', asymp: '≈', ne: '≠', equiv: '≡', le: '≤',
+    ge: '≥', sub: '⊂', sup: '⊃', nsub: '⊄', sube: '⊆', supe: '⊇', oplus: '⊕', otimes: '⊗', perp: '⊥',
+    sdot: '⋅', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', lang: '〈', rang: '〉', loz: '◊', spades: '♠',
+    clubs: '♣', hearts: '♥', diams: '♦'
+};
+
+/**
+ * Formatting marks applied to inline runs, outermost first when runs are grouped into tokens.
+ * @type {Array<string>}
+ */
+const HTML_MARKS = ['href', 'bold', 'italic', 'strike', 'code'];
+
+/**
+ * Convert HTML (e.g. the text/html clipboard flavor from Google Docs, Word or a web page)
+ * into the block tokens marked.lexer() produces, so renderTokens() can render them.
+ * Pure function: no DOM needed.
+ * @param {string} html - HTML document or fragment
+ * @returns {Array} Block tokens (paragraph, heading, list, table, blockquote, code, hr)
+ */
+function htmlToTokens(html) {
+    const root = parseHtml(html);
+    const body = findHtmlElement(root, 'body') || root;
+    return htmlBlocks(body.children, {});
+}
+
+/**
+ * Parse HTML into a tree of {tag, attrs, children} elements and {text} nodes.
+ * Tolerant like a browser: unclosed elements are closed by their parent's end tag,
+ * and <p>, <li>, <tr>, <td> close implicitly.
+ * @param {string} html - HTML source
+ * @returns {Object} Root element (tag '#root')
+ */
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|[^<]+|</g;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const [source, closeTag, openTag, attrText, selfClosing] = match;
+
+        if (openTag) {
+            const tag = openTag.toLowerCase();
+            if (HTML_SKIPPED_ELEMENTS.has(tag)) {
+                // Jump to the end tag; the content (scripts, styles, metadata) is never shown
+                const end = html.toLowerCase().indexOf('</' + tag, pattern.lastIndex);
+                pattern.lastIndex = end === -1 ? html.length : end;
+                continue;
+            }
+            closeImpliedElements(stack, tag);
+            const element = { tag, attrs: parseHtmlAttributes(attrText), children: [] };
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing && !HTML_VOID_ELEMENTS.has(tag)) {
+                stack.push(element);
+            }
+        } else if (closeTag) {
+            const index = stack.map(element => element.tag).lastIndexOf(closeTag.toLowerCase());
+            if (index > 0) {
+                stack.length = index;
+            }
+        } else if (!source.startsWith('<') || source === '<') {
+            stack[stack.length - 1].children.push({ text: decodeHtmlEntities(source) });
+        }
+        // Comments, doctypes and processing instructions are dropped
+    }
+
+    return root;
+}
+
+/**
+ * Close the open elements a new start tag ends implicitly (<p>, <li>, <tr>, <td>).
+ * @param {Array<Object>} stack - Open elements, root first
+ * @param {string} tag - Tag name being opened
+ */
+function closeImpliedElements(stack, tag) {
+    const closeUpTo = (closing, boundaries) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (boundaries.includes(stack[i].tag)) return;
+            if (closing.includes(stack[i].tag)) {
+                stack.length = i;
+                return;
+            }
+        }
+    };
+
+    if (HTML_BLOCK_ELEMENTS.has(tag) && stack[stack.length - 1].tag === 'p') {
+        stack.pop();
+    }
+    if (tag === 'li') {
+        closeUpTo(['li'], ['ul', 'ol']);
+    } else if (tag === 'tr') {
+        closeUpTo(['tr'], ['table']);
+    } else if (tag === 'td' || tag === 'th') {
+        closeUpTo(['td', 'th'], ['tr', 'table']);
+    }
+}
+
+/**
+ * Parse the attributes of a start tag.
+ * @param {string} text - Attribute text after the tag name
+ * @returns {Record<string, string>} Attributes by lowercase name
+ */
+function parseHtmlAttributes(text) {
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const [, name, double, single, bare] = match;
+        attrs[name.toLowerCase()] = decodeHtmlEntities(double ?? single ?? bare ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * Decode HTML character references (&amp;, &#8212;, &#x2014;).
+ * Unknown named references are kept as written.
+ * @param {string} text - Text with character references
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, name) => {
+        if (name.startsWith('#')) {
+            const codePoint = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        return HTML_ENTITIES[name] ?? HTML_ENTITIES[name.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Find the first element with a tag name, depth first.
+ * @param {Object} element - Element to search
+ * @param {string} tag - Tag name
+ * @returns {?Object} Matching element
+ */
+function findHtmlElement(element, tag) {
+    for (const child of element.children || []) {
+        if (child.tag === tag) {
+            return child;
+        }
+        const found = findHtmlElement(child, tag);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an element or any of its descendants is block-level.
+ * Google Docs wraps the whole document in <b style="font-weight:normal">, an inline
+ * element full of blocks, which must be treated as a container.
+ * @param {Object} node - Element or text node
+ * @returns {boolean} True if the node starts or holds blocks
+ */
+function holdsHtmlBlocks(node) {
+    if (!node.tag) {
+        return false;
+    }
+    return HTML_BLOCK_ELEMENTS.has(node.tag) || node.children.some(holdsHtmlBlocks);
+}
+
+/**
+ * Convert a sequence of nodes into block tokens. Runs of inline nodes become paragraphs.
+ * @param {Array<Object>} nodes - Elements and text nodes
+ * @param {Object} marks - Formatting inherited from inline ancestors
+ * @returns {Array} Block tokens
+ */
+function htmlBlocks(nodes, marks) {
+    const tokens = [];
+    let inline = [];
+
+    const flush = () => {
+        const inlineTokens = htmlInline(inline, marks);
+        if (inlineTokens.length > 0) {
+            tokens.push({ type: 'paragraph', raw: '', text: inlineText(inlineTokens), tokens: inlineTokens });
+        }
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (node.tag && HTML_BLOCK_ELEMENTS.has(node.tag)) {
+            flush();
+            tokens.push(...htmlBlock(node, marks));
+        } else if (holdsHtmlBlocks(node)) {
+            flush();
+            tokens.push(...htmlBlocks(node.children, htmlMarks(node, marks)));
+        } else {
+            inline.push(node);
+        }
+    }
+    flush();
+
+    return tokens;
+}
+
+/**
+ * Convert one block-level element into tokens.
+ * @param {Object} element - Block element
+ * @param {Object} marks - Formatting inherited from inline ancestors
+ * @returns {Array} Block tokens
+ */
+function htmlBlock(element, marks) {
+    const tag = element.tag;
+
+    if (/^h[1-6]$/.test(tag)) {
+        const tokens = htmlInline(element.children, htmlMarks(element, marks));
+        return tokens.length > 0
+            ? [{ type: 'heading', raw: '', depth: Number(tag[1]), text: inlineText(tokens), tokens }]
+            : [];
+    }
+
+    switch (tag) {
+        case 'ul':
+        case 'ol':
+            return [htmlList(element, marks)];
+
+        case 'table':
+            return [htmlTable(element, marks)];
+
+        case 'blockquote':
+            return [{ type: 'blockquote', raw: '', tokens: htmlBlocks(element.children, marks) }];
+
+        case 'pre': {
+            const text = htmlTextContent(element).replace(/^\n/, '').replace(/\n$/, '');
+            return [{ type: 'code', raw: '', lang: '', text }];
+        }
+
+        case 'hr':
+            return [{ type: 'hr', raw: '' }];
+
+        case 'summary':
+            // The always-visible line of a <details> block reads as its title
+            return htmlBlocks(element.children, { ...htmlMarks(element, marks), bold: true });
+
+        default:
+            return htmlBlocks(element.children, htmlMarks(element, marks));
+    }
+}
+
+/**
+ * Convert a <ul> or <ol> into a list token. Nested lists placed directly inside the
+ * list (as Google Docs does) belong to the preceding item.
+ * @param {Object} element - List element
+ * @param {Object} marks - Formatting inherited from inline ancestors
+ * @returns {Object} List token
+ */
+function htmlList(element, marks) {
+    const items = [];
+
+    for (const child of element.children) {
+        if (child.tag === 'li') {
+            items.push(htmlListItem(child, marks));
+        } else if ((child.tag === 'ul' || child.tag === 'ol') && items.length > 0) {
+            items[items.length - 1].tokens.push(htmlList(child, marks));
+        }
+    }
+
+    const start = parseInt(element.attrs.start, 10);
+    return {
+        type: 'list',
+        raw: '',
+        ordered: element.tag === 'ol',
+        start: element.tag === 'ol' ? (Number.isNaN(start) ? 1 : start) : '',
+        loose: false,
+        items
+    };
+}
+
+/**
+ * Convert an <li> into a list item token. Its paragraphs are joined into the single
+ * text token of a tight Markdown item; nested lists are kept as list tokens.
+ * @param {Object} element - List item element
+ * @param {Object} marks - Formatting inherited from inline ancestors
+ * @returns {Object} List item token
+ */
+function htmlListItem(element, marks) {
+    // Task lists: a checkbox at the start of the item (possibly inside its first paragraph)
+    const first = element.children.find(child => child.tag || child.text.trim());
+    const candidates = [first, ...(first && first.tag ? first.children : [])];
+    const checkbox = candidates.find(node => node && node.tag === 'input' && node.attrs.type === 'checkbox');
+
+    const tokens = [];
+    let inline = [];
+    for (const block of htmlBlocks(element.children, marks)) {
+        if (block.type === 'paragraph') {
+            inline.push(...(inline.length > 0 ? [{ type: 'br', raw: '' }] : []), ...block.tokens);
+        } else {
+            tokens.push(block);
+        }
+    }
+    if (inline.length > 0) {
+        tokens.unshift({ type: 'text', raw: '', text: inlineText(inline), tokens: inline });
+    }
+
+    return {
+        type: 'list_item',
+        raw: '',
+        task: Boolean(checkbox),
+        checked: Boolean(checkbox && 'checked' in checkbox.attrs),
+        loose: false,
+        text: tokens[0] && tokens[0].type === 'text' ? tokens[0].text : '',
+        tokens
+    };
+}
+
+/**
+ * Convert a <table> into a table token. The first row is the header; rows are
+ * padded or cut to the header's width.
+ * @param {Object} element - Table element
+ * @param {Object} marks - Formatting inherited from inline ancestors
+ * @returns {Object} Table token
+ */
+function htmlTable(element, marks) {
+    const rows = [];
+    const collectRows = (node) => {
+        for (const child of node.children || []) {
+            if (child.tag === 'tr') {
+                rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th'));
+            } else if (child.tag && child.tag !== 'table') {
+                collectRows(child);
+            }
+        }
+    };
+    collectRows(element);
+
+    const [headerRow = [], ...bodyRows] = rows;
+    const cell = (cellElement) => {
+        const tokens = cellElement ? htmlInline(cellElement.children, htmlMarks(cellElement, marks)) : [];
+        return { text: inlineText(tokens), tokens };
+    };
+    const align = headerRow.map(cellElement => {
+        const value = cellElement.attrs.align || (/text-align\s*:\s*(\w+)/i.exec(cellElement.attrs.style || '') || [])[1];
+        return ['left', 'center', 'right'].includes(value) ? value : null;
+    });
+
+    return {
+        type: 'table',
+        raw: '',
+        align,
+        header: headerRow.map(cell),
+        rows: bodyRows.map(row => headerRow.map((_, index) => cell(row[index])))
+    };
+}
+
+/**
+ * Work out the formatting an element adds to (or removes from) its content, from its
+ * tag and its inline style (Google Docs marks bold and italic with styled spans).
+ * @param {Object} element - Element
+ * @param {Object} marks - Inherited formatting
+ * @returns {Object} Formatting for the element's content
+ */
+function htmlMarks(element, marks) {
+    const result = { ...marks };
+
+    switch (element.tag) {
+        case 'b':
+        case 'strong':
+            result.bold = true;
+            break;
+        case 'i':
+        case 'em':
+        case 'cite':
+        case 'var':
+        case 'dfn':
+            result.italic = true;
+            break;
+        case 's':
+        case 'strike':
+        case 'del':
+            result.strike = true;
+            break;
+        case 'code':
+        case 'kbd':
+        case 'samp':
+        case 'tt':
+            result.code = true;
+            break;
+        case 'a':
+            if (element.attrs.href) {
+                result.href = element.attrs.href;
+            }
+            break;
+    }
+
+    const style = element.attrs.style || '';
+    const weight = /font-weight\s*:\s*([\w-]+)/i.exec(style);
+    if (weight) {
+        result.bold = /^(bold|bolder|[6-9]00)$/i.test(weight[1]);
+    }
+    const fontStyle = /font-style\s*:\s*([\w-]+)/i.exec(style);
+    if (fontStyle) {
+        result.italic = /^(italic|oblique)$/i.test(fontStyle[1]);
+    }
+    if (/text-decoration(?:-line)?\s*:[^;]*line-through/i.test(style)) {
+        result.strike = true;
+    }
+    if (/font-family\s*:[^;]*(monospace|courier|consolas|menlo|monaco)/i.test(style)) {
+        result.code = true;
+    }
+
+    return result;
+}
+
+/**
+ * Convert inline nodes into inline tokens (text, strong, em, del, codespan, link, br, image).
+ * @param {Array<Object>} nodes - Inline elements and text nodes
+ * @param {Object} marks - Inherited formatting
+ * @returns {Array} Inline tokens
+ */
+function htmlInline(nodes, marks) {
+    const runs = [];
+    collectHtmlRuns(nodes, marks, runs);
+    return groupHtmlRuns(normalizeHtmlRuns(runs), HTML_MARKS);
+}
+
+/**
+ * Flatten inline content into runs of text that share the same formatting.
+ * @param {Array<Object>} nodes - Elements and text nodes
+ * @param {Object} marks - Formatting of the nodes
+ * @param {Array<Object>} runs - Runs collected so far ({text, marks}, {br}, {image, marks})
+ */
+function collectHtmlRuns(nodes, marks, runs) {
+    for (const node of nodes) {
+        if (!node.tag) {
+            runs.push({ text: node.text, marks });
+        } else if (node.tag === 'br') {
+            runs.push({ br: true, marks: {} });
+        } else if (node.tag === 'img') {
+            runs.push({ image: { href: node.attrs.src || '', text: node.attrs.alt || '' }, marks: {} });
+        } else if (node.tag === 'sup' || node.tag === 'sub') {
+            const map = node.tag === 'sup' ? SUPERSCRIPTS : SUBSCRIPTS;
+            runs.push({ text: mapCharacters(htmlTextContent(node), map), marks: htmlMarks(node, marks) });
+        } else if (!HTML_VOID_ELEMENTS.has(node.tag)) {
+            collectHtmlRuns(node.children, htmlMarks(node, marks), runs);
+            if (HTML_BLOCK_ELEMENTS.has(node.tag)) {
+                // Blocks inside inline content (e.g. paragraphs in a table cell) are separated by a space
+                runs.push({ text: ' ', marks: {} });
+            }
+        }
+    }
+}
+
+/**
+ * Collapse whitespace the way a browser displays it, and keep spaces out of formatting:
+ * "<b>bold </b>text" must give "*bold* text", not "*bold *text".
+ * A space between two runs sharing a format keeps that format, so runs stay joined.
+ * @param {Array<Object>} runs - Runs from collectHtmlRuns()
+ * @returns {Array<Object>} Normalized runs
+ */
+function normalizeHtmlRuns(runs) {
+    const split = [];
+    let atLineStart = true;
+
+    for (const run of runs) {
+        if (!('text' in run)) {
+            // Drop spaces before a line break
+            if (run.br && split.length > 0 && split[split.length - 1].space) {
+                split.pop();
+            }
+            split.push(run);
+            atLineStart = Boolean(run.br);
+            continue;
+        }
+
+        const text = run.text.replace(/[ \t\n\r\f]+/g, ' ').replace(/\u00A0/g, ' ');
+        for (const part of text.split(/( )/)) {
+            if (part === ' ') {
+                const previous = split[split.length - 1];
+                if (!atLineStart && !(previous && previous.space)) {
+                    split.push({ text: ' ', space: true, marks: run.marks });
+                }
+            } else if (part) {
+                split.push({ text: part, marks: run.marks });
+                atLineStart = false;
+            }
+        }
+    }
+
+    // Trim line breaks and spaces at the edges
+    while (split.length > 0 && (split[split.length - 1].space || split[split.length - 1].br)) {
+        split.pop();
+    }
+    while (split.length > 0 && split[0].br) {
+        split.shift();
+    }
+
+    return split.map((run, index) => {
+        if (!run.space) {
+            return run;
+        }
+        const before = split[index - 1] ? split[index - 1].marks : {};
+        const after = split[index + 1] ? split[index + 1].marks : {};
+        const marks = {};
+        for (const mark of HTML_MARKS) {
+            if (before[mark] && before[mark] === after[mark]) {
+                marks[mark] = before[mark];
+            }
+        }
+        return { text: ' ', marks };
+    });
+}
+
+/**
+ * Nest runs into tokens, one formatting mark per level (links outermost, code innermost).
+ * Neighbouring runs with the same mark share one token.
+ * @param {Array<Object>} runs - Normalized runs
+ * @param {Array<string>} marks - Marks still to group by
+ * @returns {Array} Inline tokens
+ */
+function groupHtmlRuns(runs, marks) {
+    if (marks.length === 0) {
+        return mergeTextTokens(runs.map(htmlRunToken));
+    }
+
+    const [mark, ...rest] = marks;
+    const tokens = [];
+    let start = 0;
+
+    // Unset and switched-off marks (font-weight:normal) are the same
+    const valueOf = (run) => run.marks[mark] || false;
+
+    for (let i = 1; i <= runs.length; i++) {
+        if (i < runs.length && valueOf(runs[i]) === valueOf(runs[start])) {
+            continue;
+        }
+        const group = runs.slice(start, i);
+        const value = valueOf(runs[start]);
+        const children = groupHtmlRuns(group, rest);
+        tokens.push(...(value ? [htmlMarkToken(mark, value, children)] : children));
+        start = i;
+    }
+
+    return mergeTextTokens(tokens);
+}
+
+/**
+ * Wrap tokens in the token for a formatting mark.
+ * @param {string} mark - Mark name (see HTML_MARKS)
+ * @param {string|boolean} value - Mark value (the URL for links)
+ * @param {Array} tokens - Content tokens
+ * @returns {Object} Inline token
+ */
+function htmlMarkToken(mark, value, tokens) {
+    // There is no Markdown source: raw holds the text, which diagnostics quote
+    const text = inlineText(tokens);
+    switch (mark) {
+        case 'href':
+            return { type: 'link', raw: text, href: value, title: null, text, tokens };
+        case 'bold':
+            return { type: 'strong', raw: text, text, tokens };
+        case 'italic':
+            return { type: 'em', raw: text, text, tokens };
+        case 'strike':
+            return { type: 'del', raw: text, text, tokens };
+        default:
+            // Code spans hold escaped text, like the ones from marked.lexer()
+            return { type: 'codespan', raw: text, text: escapeHtml(text) };
+    }
+}
+
+/**
+ * Create the leaf token for a run.
+ * @param {Object} run - Normalized run
+ * @returns {Object} text, br or image token
+ */
+function htmlRunToken(run) {
+    if (run.br) {
+        return { type: 'br', raw: '' };
+    }
+    if (run.image) {
+        return { type: 'image', raw: '', href: run.image.href, title: null, text: run.image.text };
+    }
+    // Text tokens hold escaped text, like the ones from marked.lexer()
+    return { type: 'text', raw: run.text, text: escapeHtml(run.text) };
+}
+
+/**
+ * Merge neighbouring text tokens.
+ * @param {Array} tokens - Inline tokens
+ * @returns {Array} Tokens without consecutive text tokens
+ */
+function mergeTextTokens(tokens) {
+    const merged = [];
+    for (const token of tokens) {
+        const previous = merged[merged.length - 1];
+        if (token.type === 'text' && previous && previous.type === 'text') {
+            merged[merged.length - 1] = { ...previous, raw: previous.raw + token.raw, text: previous.text + token.text };
+        } else {
+            merged.push(token);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Get the unformatted text of inline tokens.
+ * @param {Array} tokens - Inline tokens
+ * @returns {string} Plain text
+ */
+function inlineText(tokens) {
+    return tokens.map(token => {
+        if (token.type === 'br') return '\n';
+        if (token.type === 'text' || token.type === 'codespan') return unescapeText(token.text);
+        return token.tokens ? inlineText(token.tokens) : token.text || '';
+    }).join('');
+}
+
+/**
+ * Get the text inside an element, whitespace preserved (for <pre>).
+ * @param {Object} node - Element or text node
+ * @returns {string} Text content
+ */
+function htmlTextContent(node) {
+    if (!node.tag) {
+        return node.text;
+    }
+    if (node.tag === 'br') {
+        return '\n';
+    }
+    return node.children.map(htmlTextContent).join('');
+}
+
+/**
+ * A single start or end tag, as marked hands them over in inline 'html' tokens.
+ * @type {RegExp}
+ */
+const HTML_TAG_PATTERN = /^<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>$/;
+
+/**
+ * Render a block of raw HTML inside Markdown the way pasted HTML is rendered.
+ * @param {Object} token - Block 'html' token
+ * @param {Object} ctx - Conversion context
+ * @returns {?string} WhatsApp text, or null when the HTML shows nothing (e.g. a comment)
+ */
+function renderHtmlBlock(token, ctx) {
+    const blocks = htmlToTokens(token.text).map(block => renderToken(block, ctx)).filter(Boolean);
+    return blocks.length > 0 ? blocks.join('\n\n') : null;
+}
+
+/**
+ * Translate the raw HTML tags in Markdown inline content into the tokens they stand for:
+ * formatting tags (as htmlMarks() reads them) become strong, em, del, codespan and link tokens,
+ * <br> a line break, <img> an image and <sup>/<sub> Unicode super/subscripts.
+ * Other tags are stripped and their content kept; comments are dropped.
+ * @param {Array} tokens - Inline tokens
+ * @param {Object} ctx - Conversion context
+ * @returns {Array} Tokens without 'html' tokens (the same array when there were none)
+ */
+function translateInlineHtml(tokens, ctx) {
+    if (!tokens.some(token => token.type === 'html')) {
+        return tokens;
+    }
+
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'html') {
+            const prev = tokens[i - 1];
+            if (token.type === 'text' && prev && prev.type === 'html' && result[result.length - 1]?.type === 'br') {
+                // "<br>" at the end of a line already breaks it
+                result.push({ ...token, text: token.text.replace(/^\n/, '') });
+            } else {
+                result.push(token);
+            }
+            continue;
+        }
+
+        const match = HTML_TAG_PATTERN.exec(token.text.trim());
+        if (!match || match[1]) {
+            continue; // Comments, declarations, and end tags whose start tag was stripped
+        }
+        const [, , name, attrText, selfClosing] = match;
+        const element = { tag: name.toLowerCase(), attrs: parseHtmlAttributes(attrText), children: [] };
+
+        if (element.tag === 'br') {
+            result.push({ type: 'br', raw: token.raw });
+            continue;
+        }
+        if (element.tag === 'img') {
+            result.push({ type: 'image', raw: token.raw, href: element.attrs.src || '', text: element.attrs.alt || '' });
+            continue;
+        }
+
+        const end = selfClosing || HTML_VOID_ELEMENTS.has(element.tag) ? -1 : findHtmlEndTag(tokens, i, element.tag);
+        const translated = end === -1 ? null : htmlElementToken(
+            element,
+            translateInlineHtml(tokens.slice(i + 1, end), ctx),
+            tokens.slice(i, end + 1).map(part => part.raw).join(''),
+            ctx
+        );
+        if (translated) {
+            result.push(translated);
+            i = end;
+        } else {
+            // Keep going inside the element: its content stays, its end tag is skipped
+            addDiagnostic(ctx, token, 'info', 'html-stripped',
+                `HTML tag with no WhatsApp equivalent was removed: ${token.text.trim()}`);
+        }
+    }
+
+    // A tag dropped at either end leaves the space before (or after) it at the edge of the
+    // content, where it would sit inside the markers of a heading or span (*Title *)
+    const first = result[0];
+    const last = result[result.length - 1];
+    if (tokens[0].type === 'html' && first?.type === 'text') {
+        result[0] = { ...first, text: first.text.trimStart() };
+    }
+    if (tokens[tokens.length - 1].type === 'html' && last?.type === 'text') {
+        result[result.length - 1] = { ...last, text: last.text.trimEnd() };
+    }
+
+    return result;
+}
+
+/**
+ * Find the end tag matching an inline start tag, skipping nested elements of the same name.
+ * @param {Array} tokens - Inline tokens
+ * @param {number} start - Index of the start tag's token
+ * @param {string} tag - Lowercase tag name
+ * @returns {number} Index of the end tag's token, or -1 when the element is never closed
+ */
+function findHtmlEndTag(tokens, start, tag) {
+    let depth = 0;
+    for (let i = start + 1; i < tokens.length; i++) {
+        const match = tokens[i].type === 'html' ? HTML_TAG_PATTERN.exec(tokens[i].text.trim()) : null;
+        if (!match || match[2].toLowerCase() !== tag || match[4]) continue;
+        if (!match[1]) {
+            depth++;
+        } else if (depth-- === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Build the token an inline HTML element stands for, nested like groupHtmlRuns() output
+ * (link outermost, code innermost).
+ * @param {Object} element - Element ({tag, attrs})
+ * @param {Array} tokens - The element's translated content
+ * @param {string} raw - Source of the element, tags included
+ * @param {Object} ctx - Conversion context
+ * @returns {?Object} Token, or null when the element has no WhatsApp equivalent
+ */
+function htmlElementToken(element, tokens, raw, ctx) {
+    if (element.tag === 'sup' || element.tag === 'sub') {
+        const text = mapCharacters(renderPlainText(tokens, ctx), element.tag === 'sup' ? SUPERSCRIPTS : SUBSCRIPTS);
+        return { type: 'text', raw, text: escapeHtml(text) };
+    }
+
+    const marks = htmlMarks(element, {});
+    if (!HTML_MARKS.some(mark => marks[mark])) {
+        return null;
+    }
+
+    let content = tokens;
+    if (marks.code) {
+        content = [{ type: 'codespan', raw, text: escapeHtml(renderPlainText(content, ctx)) }];
+    }
+    for (const [mark, type] of [['strike', 'del'], ['italic', 'em'], ['bold', 'strong']]) {
+        if (marks[mark]) {
+            content = [{ type, raw, text: inlineText(content), tokens: content }];
+        }
+    }
+    if (marks.href) {
+        const title = element.attrs.title || null;
+        content = [{ type: 'link', raw, href: marks.href, title, text: inlineText(content), tokens: content }];
+    }
+    return content[0];
+}
+
+// =================================================================================================
+// OUTPUT TARGETS (WhatsApp, Telegram, Slack, Signal, plain text)
+// =================================================================================================
+
+/**
+ * Private-use stand-ins for the syntax characters of targets that escape literal text.
+ * Rendering emits these instead of the real characters, so the target's finish() can
+ * escape everything else and then put the syntax back (see restoreSyntax()).
+ * @type {Record<string, string>}
+ */
+const SYNTAX_STAND_INS = {
+    '*': '\uE011',
+    '_': '\uE012',
+    '~': '\uE013',
+    '`': '\uE014',
+    '>': '\uE015',
+    '[': '\uE016',
+    ']': '\uE017',
+    '(': '\uE018',
+    ')': '\uE019',
+    '<': '\uE01A',
+    '|': '\uE01B'
+};
+
+const SYNTAX_STAND_IN_PATTERN = /[\uE011-\uE01B]/g;
+
+/**
+ * Output targets: the formatting syntax of each chat app, so one Markdown source gives
+ * every channel's version. Fields:
+ * - label: name shown in the UI
+ * - bold, italic, strike, code: markers placed on both sides of the text ('' drops the formatting)
+ * - fence: marker around monospace blocks ('' leaves the block as plain lines)
+ * - fenceLines: fences always go on their own lines (otherwise only in the modern profile)
+ * - quote: prefix of quoted lines
+ * - link(text, href): inline link in the app's own syntax, or null for "text (url)"
+ * - lookAlikes: literal * _ ~ ` are swapped for look-alikes where the app would format them
+ *   (escaped characters, and the neutralizeStrayMarkers option)
+ * - finish(block, ctx): turns a rendered block into the text to send
+ * - defaults: option defaults for the target, applied before the profile's and the caller's
+ * @type {Record<string, Object>}
+ */
+const OUTPUT_TARGETS = {
+    whatsapp: {
+        label: 'WhatsApp',
+        bold: '*',
+        italic: '_',
+        strike: '~',
+        code: '`',
+        fence: '```',
+        fenceLines: false,
+        quote: '> ',
+        link: null,
+        lookAlikes: true,
+        finish: neutralizeStrayMarkers,
+        defaults: {}
+    },
+    // MarkdownV2: every syntax character in plain text must be escaped with a backslash
+    telegram: {
+        label: 'Telegram',
+        bold: SYNTAX_STAND_INS['*'],
+        italic: SYNTAX_STAND_INS['_'],
+        strike: SYNTAX_STAND_INS['~'],
+        code: SYNTAX_STAND_INS['`'],
+        fence: SYNTAX_STAND_INS['`'].repeat(3),
+        fenceLines: true,
+        quote: SYNTAX_STAND_INS['>'],
+        link: (text, href) => SYNTAX_STAND_INS['['] + text + SYNTAX_STAND_INS[']'] +
+            SYNTAX_STAND_INS['('] + href + SYNTAX_STAND_INS[')'],
+        lookAlikes: false,
+        finish: finishTelegram,
+        defaults: { bullet: '•' }
+    },
+    // mrkdwn: WhatsApp-like markers, <url|text> links, and &, <, > escaped as entities
+    slack: {
+        label: 'Slack',
+        bold: '*',
+        italic: '_',
+        strike: '~',
+        code: '`',
+        fence: '```',
+        fenceLines: false,
+        quote: SYNTAX_STAND_INS['>'] + ' ',
+        link: (text, href) => SYNTAX_STAND_INS['<'] + href + SYNTAX_STAND_INS['|'] + text + SYNTAX_STAND_INS['>'],
+        lookAlikes: true,
+        finish: finishSlack,
+        defaults: { bullet: '•' }
+    },
+    // Signal formats text in the composer, not from characters: pasted text stays plain
+    signal: {
+        label: 'Signal',
+        bold: '',
+        italic: '',
+        strike: '',
+        code: '',
+        fence: '',
+        fenceLines: false,
+        quote: '> ',
+        link: null,
+        lookAlikes: false,
+        finish: block => block,
+        defaults: {}
+    },
+    // SMS: plain text, with ASCII list markers and rule where the defaults use symbols
+    plain: {
+        label: 'Plain text (SMS)',
+        bold: '',
+        italic: '',
+        strike: '',
+        code: '',
+        fence: '',
+        fenceLines: false,
+        quote: '> ',
+        link: null,
+        lookAlikes: false,
+        finish: block => block,
+        defaults: { bullet: '-', nestedBullet: '-', taskChecked: '[x]', taskUnchecked: '[ ]', hr: '----------' }
+    }
+};
+
+/**
+ * Turn syntax stand-ins back into the characters they stand for.
+ * @param {string} text - Text with stand-ins
+ * @returns {string} Text with the syntax characters
+ */
+function restoreSyntax(text) {
+    return text.replace(SYNTAX_STAND_IN_PATTERN, standIn =>
+        Object.keys(SYNTAX_STAND_INS).find(char => SYNTAX_STAND_INS[char] === standIn));
+}
+
+/**
+ * Escape a rendered block for Telegram's MarkdownV2: outside code every character of
+ * _*[]()~`>#+-=|{}.! and \ gets a backslash; inside code only ` and \ do, and inside
+ * a link target only ) and \.
+ * @param {string} block - Rendered block with syntax stand-ins
+ * @returns {string} Block ready to send with parse_mode MarkdownV2
+ */
+function finishTelegram(block) {
+    const code = SYNTAX_STAND_INS['`'];
+    const [open, close] = [SYNTAX_STAND_INS['('], SYNTAX_STAND_INS[')']];
+    const verbatim = new RegExp(`(${code}{3}[\\s\\S]*?${code}{3}|${code}[^${code}\\n]*${code}|${open}[^${close}]*${close})`);
+
+    return restoreSyntax(block.split(verbatim).map((part, i) => {
+        if (i % 2 === 0) {
+            return part.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+        }
+        return part.replace(part.startsWith(open) ? /[)\\]/g : /[`\\]/g, '\\$&');
+    }).join(''));
+}
+
+/**
+ * Finish a rendered block for Slack's mrkdwn: stray markers are neutralized as for
+ * WhatsApp, then &, < and > are escaped as HTML entities, as Slack requires.
+ * @param {string} block - Rendered block with stand-ins
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Block ready to send
+ */
+function finishSlack(block, ctx) {
+    const escaped = neutralizeStrayMarkers(block, ctx)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    return restoreSyntax(escaped);
+}
+
+// =================================================================================================
+// STRAY MARKER NEUTRALIZATION
+// =================================================================================================
+
+/**
+ * Private-use stand-ins for formatting characters that came from plain text.
+ * While a block is rendered, literal characters are kept as these so the analysis
+ * pass can tell them apart from the markers the converter emitted on purpose.
+ * @type {Record<string, string>}
+ */
+const LITERAL_STAND_INS = {
+    '*': '\uE001',
+    '_': '\uE002',
+    '~': '\uE003',
+    '`': '\uE004'
+};
+
+const STAND_IN_PATTERN = /[\uE001-\uE004]/g;
+
+/**
+ * Mark the formatting characters of a plain-text fragment as literal (when enabled).
+ * @param {string} text - Plain text from a text token
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Text with literal markers replaced by stand-ins
+ */
+function protectLiterals(text, ctx) {
+    if (!ctx.options.neutralizeStrayMarkers || !ctx.target.lookAlikes) {
+        return text;
+    }
+    return text.replace(/[*_~`]/g, char => LITERAL_STAND_INS[char]);
+}
+
+/**
+ * Turn stand-ins back into the characters they stand for.
+ * @param {string} text - Text with stand-ins
+ * @returns {string} Text with the original characters
+ */
+function restoreLiterals(text) {
+    return text.replace(STAND_IN_PATTERN, standIn =>
+        Object.keys(LITERAL_STAND_INS).find(char => LITERAL_STAND_INS[char] === standIn));
+}
+
+/**
+ * Analyse a rendered block and swap literal formatting characters that WhatsApp
+ * would pair into a span (e.g. "5 * 3 * 2", "~approx~") for their look-alikes.
+ * Literal characters that WhatsApp would leave alone are restored unchanged.
+ * Each swap is reported as a diagnostic.
+ * @param {string} block - Rendered block, possibly containing stand-ins
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Block safe to send
+ */
+function neutralizeStrayMarkers(block, ctx) {
+    if (!STAND_IN_PATTERN.test(block)) {
+        return block;
+    }
+    STAND_IN_PATTERN.lastIndex = 0;
+
+    // Spans never cross lines, so each line can be analysed on its own
+    return block.split('\n').map(line => {
+        const original = restoreLiterals(line).trim();
+        let current = line;
+        for (let stray = findStraySpan(current); stray; stray = findStraySpan(current)) {
+            const span = restoreLiterals(current).slice(stray.start, stray.end);
+            addDiagnostic(ctx, null, 'info', 'neutralized',
+                `Stray formatting characters swapped for look-alikes: ${span} in "${original}"`);
+            current = current.split('').map((char, i) =>
+                stray.positions.includes(i) ? LOOK_ALIKES[restoreLiterals(char)] : char).join('');
+        }
+        return restoreLiterals(current);
+    }).join('\n');
+}
+
+/**
+ * Find the first span WhatsApp would format whose opening or closing marker is literal.
+ * Intended spans are searched recursively, since WhatsApp doesn't nest a marker in itself.
+ * @param {string} line - Rendered line with stand-ins
+ * @param {number} [from] - Start of the range to search
+ * @param {number} [to] - End of the range to search
+ * @param {Array<string>} [disallowed] - Markers of the enclosing intended spans
+ * @returns {{start: number, end: number, positions: Array<number>}|null} Span range and
+ *   the positions of its literal markers
+ */
+function findStraySpan(line, from = 0, to = line.length, disallowed = []) {
+    const view = restoreLiterals(line).slice(0, to);
+    const isLiteral = (i) => line[i] !== view[i];
+
+    for (let i = from; i < to; i++) {
+        const span = matchWhatsappSpan(view, i, disallowed);
+        if (!span) {
+            continue;
+        }
+
+        const width = span.node.type === 'mono' ? 3 : 1;
+        const markers = [];
+        for (let k = 0; k < width; k++) {
+            markers.push(i + k, span.end - 1 - k);
+        }
+        const positions = markers.filter(isLiteral);
+        if (positions.length > 0) {
+            return { start: i, end: span.end, positions };
+        }
+
+        // Code content is never formatted; other intended spans may hide stray pairs
+        if (span.node.type !== 'code' && span.node.type !== 'mono') {
+            const inner = findStraySpan(line, i + 1, span.end - 1, [...disallowed, view[i]]);
+            if (inner) {
+                return inner;
+            }
+        }
+        i = span.end - 1;
+    }
+
+    return null;
+}
+
+// =================================================================================================
+// MESSAGE SPLITTING
+// =================================================================================================
+
+/**
+ * Convert Markdown and split the result into several sendable WhatsApp messages,
+ * each at most `messageLimit` characters long.
+ *
+ * Messages are cut at block boundaries only. A block that is too long on its own is
+ * cut between lines, then between words, but never inside a ``` block (code or
+ * ASCII table) or a formatting span; a piece that can't be cut at or before the limit
+ * runs on to the next place where it can.
+ *
+ * @param {string} markdownText - The Markdown input.
+ * @param {Object} [options] - Conversion options (see DEFAULT_OPTIONS)
+ * @returns {Array<string>} The converted messages.
+ */
+function convertTextToWhatsappMessages(markdownText, options = {}) {
+    if (!markdownText.trim()) {
+        return [];
+    }
+
+    const ctx = createContext(options, markdownText);
+    const blocks = renderBlocks(lexMarkdown(ctx), ctx)
+        .map(block => block.trim())
+        .filter(Boolean);
+    return splitIntoMessages(blocks, ctx);
+}
+
+/**
+ * Pack rendered blocks into messages, adding "(n/total)" counters if requested.
+ * Room for the counter is reserved up front; if the number of messages grows
+ * enough to need a wider counter, packing is repeated with more room. Counters are
+ * escaped for the output target like any other text (Telegram: "\(1/3\)").
+ * @param {Array<string>} blocks - Rendered blocks
+ * @param {Object} ctx - Conversion context
+ * @returns {Array<string>} Messages
+ */
+function splitIntoMessages(blocks, ctx) {
+    const { options } = ctx;
+    const limit = Math.max(1, parseInt(options.messageLimit, 10) || DEFAULT_OPTIONS.messageLimit);
+    let reserve = 0;
+
+    for (;;) {
+        const messages = packPieces(blocks.flatMap(block => splitBlock(block, limit - reserve)), limit - reserve);
+        if (!options.messageCounters || messages.length < 2) {
+            return messages;
+        }
+
+        const counter = (index) => ctx.target.finish(`(${index}/${messages.length})`, ctx);
+        const needed = '\n\n'.length + counter(messages.length).length;
+        if (needed <= reserve) {
+            return messages.map((message, i) => message + '\n\n' + counter(i + 1));
+        }
+        reserve = needed;
+    }
+}
+
+/**
+ * Greedily join pieces into messages no longer than the limit.
+ * @param {Array<{text: string, separator: string}>} pieces - Pieces with the separator
+ *   that joins them to the previous piece
+ * @param {number} limit - Max message length
+ * @returns {Array<string>} Messages
+ */
+function packPieces(pieces, limit) {
+    const messages = [];
+    let current = '';
+
+    for (const { text, separator } of pieces) {
+        if (!current) {
+            current = text;
+        } else if (current.length + separator.length + text.length <= limit) {
+            current += separator + text;
+        } else {
+            messages.push(current);
+            current = text;
+        }
+    }
+    if (current) {
+        messages.push(current);
+    }
+
+    return messages;
+}
+
+/**
+ * Cut a block into pieces that fit the limit where possible. A long line keeps its
+ * quote marker and indentation on every piece, so a quote stays a quote in each message.
+ * @param {string} block - Rendered block
+ * @param {number} limit - Max message length
+ * @returns {Array<{text: string, separator: string}>} Pieces
+ */
+function splitBlock(block, limit) {
+    // Fits, or contains a multi-line ``` block (code or ASCII table) that must stay in one
+    // message; single-line ```monospace``` spans are kept whole by splitLine()
+    const fenced = block.split('```').some((part, i) => i % 2 === 1 && part.includes('\n'));
+    if (block.length <= limit || fenced) {
+        return [{ text: block, separator: '\n\n' }];
+    }
+
+    const pieces = [];
+    for (const line of block.split('\n')) {
+        const prefix = line.match(/^(?:>[ \t]+|[ \t])*/)[0];
+        const words = line.length > limit
+            ? splitLine(line.slice(prefix.length), limit - prefix.length).map(text => prefix + text)
+            : [line];
+        words.forEach((text, i) => {
+            pieces.push({ text, separator: i === 0 || prefix ? '\n' : ' ' });
+        });
+    }
+    pieces[0].separator = '\n\n';
+    return pieces;
+}
+
+/**
+ * Cut a single long line at spaces, never inside a formatting span. Where no safe space
+ * fits the limit, the piece runs on to the first safe space after it.
+ * @param {string} line - Line of WhatsApp text
+ * @param {number} limit - Max piece length
+ * @returns {Array<string>} Pieces (joined by single spaces)
+ */
+function splitLine(line, limit) {
+    const spans = findFormattingSpans(line);
+    const canBreakAt = (index) => !spans.some(([start, end]) => index > start && index < end);
+
+    const pieces = [];
+    let rest = line;
+    let offset = 0;
+
+    while (rest.length > limit) {
+        let cut = -1;
+        for (let i = rest.lastIndexOf(' ', limit); i > 0; i = rest.lastIndexOf(' ', i - 1)) {
+            if (canBreakAt(offset + i)) {
+                cut = i;
+                break;
+            }
+        }
+        for (let i = rest.indexOf(' ', limit + 1); cut === -1 && i !== -1; i = rest.indexOf(' ', i + 1)) {
+            if (canBreakAt(offset + i)) {
+                cut = i;
+            }
+        }
+        if (cut === -1) {
+            break; // No safe place at all: keep the remainder whole
+        }
+        pieces.push(rest.slice(0, cut));
+        rest = rest.slice(cut + 1);
+        offset += cut + 1;
+    }
+    pieces.push(rest);
+
+    return pieces;
+}
+
+/**
+ * Find the ranges of WhatsApp formatting spans (*bold*, _italic_, ~strike~, `code`,
+ * ```monospace```) in a line.
+ * @param {string} line - Line of WhatsApp text
+ * @returns {Array<[number, number]>} [start, end) ranges
+ */
+function findFormattingSpans(line) {
+    const spans = [];
+    const pattern = /```[\s\S]*?```|`[^`]*`|([*_~])(?=\S)[^\n]*?\S\1(?![\p{L}\p{N}])/gu;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        spans.push([match.index, match.index + match[0].length]);
+    }
+    return spans;
+}
+
+// =================================================================================================
+// REVERSE CONVERSION (WhatsApp → Markdown)
+// =================================================================================================
+
+/**
+ * Convert WhatsApp-formatted text back into Markdown.
+ *
+ * WhatsApp text has no real syntax tree, so this works line by line, recognising
+ * WhatsApp's own markers as well as the conventions of convertTextToWhatsapp():
+ * - *bold* → **bold**, _italic_ → _italic_, ~strike~ → ~~strike~~
+ * - `code` and ```monospace``` → `code`, multi-line ``` blocks → fenced code blocks
+ * - ASCII tables inside ``` → GFM tables
+ * - *📌 Header* (emoji from headerEmojis) → # Header
+ * - * item, * ◦ nested, - item, 1. item → Markdown lists
+ * - ☑ / ☐ → - [x] / - [ ]
+ * - ─────── → ---
+ * - *span* (url) → [**span**](url), url (url) → <url>; after plain text the URL stays an autolink
+ *   (where the link text starts can't be told)
+ * - Unicode look-alikes (∗ ＿ ∼ ˋ) → Markdown escapes
+ *
+ * @param {string} whatsappText - The WhatsApp-formatted input.
+ * @param {Object} [options] - Conversion options (see DEFAULT_OPTIONS); the markers to
+ *   recognise are taken from the same options used for the forward conversion
+ * @returns {string} Markdown text.
+ */
+function convertWhatsappToMarkdown(whatsappText, options = {}) {
+    if (!whatsappText.trim()) {
+        return '';
+    }
+
+    const ctx = createContext(options);
+    const lines = whatsappText.replace(/\r\n?/g, '\n').split('\n');
+    return reverseBlocks(lines, ctx).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Convert a sequence of WhatsApp lines into Markdown lines.
+ * @param {Array<string>} lines - WhatsApp text lines
+ * @param {Object} ctx - Conversion context
+ * @returns {Array<string>} Markdown lines
+ */
+function reverseBlocks(lines, ctx) {
+    const output = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Fenced monospace block (may open and close on the same line)
+        if (trimmed.startsWith('```')) {
+            const fence = collectFence(lines, i);
+            if (fence) {
+                output.push(reverseFence(fence.content));
+                i = fence.end + 1;
+                continue;
+            }
+        }
+
+        // Callout title right above a quote (see renderAlert()): GitHub alert or ::: container
+        const kind = alertKind(trimmed, ctx);
+        if (kind && i + 1 < lines.length && /^>/.test(lines[i + 1].trim())) {
+            const quoted = [];
+            for (i++; i < lines.length && /^>/.test(lines[i].trim()); i++) {
+                quoted.push(lines[i].trim().replace(/^> ?/, ''));
+            }
+            const inner = reverseBlocks(quoted, ctx);
+            if (GITHUB_ALERT_TYPES.includes(kind)) {
+                output.push(`> [!${kind.toUpperCase()}]\n` + inner.map(l => l ? '> ' + l : '>').join('\n'));
+            } else {
+                output.push(`:::${kind}\n${inner.join('\n')}\n:::`);
+            }
+            continue;
+        }
+
+        // Quote: collect consecutive quoted lines, strip one level, recurse for nesting
+        if (/^>/.test(trimmed)) {
+            const quoted = [];
+            while (i < lines.length && /^>/.test(lines[i].trim())) {
+                quoted.push(lines[i].trim().replace(/^> ?/, ''));
+                i++;
+            }
+            const inner = reverseBlocks(quoted, ctx);
+            output.push(inner.map(l => l ? '> ' + l : '>').join('\n'));
+            continue;
+        }
+
+        output.push(reverseLine(line, ctx));
+        i++;
+    }
+
+    return output;
+}
+
+/**
+ * Find the extent of a ``` block starting at the given line.
+ * @param {Array<string>} lines - Text lines
+ * @param {number} start - Index of the line holding the opening fence
+ * @returns {{content: string, end: number}|null} Block content and closing line index
+ */
+function collectFence(lines, start) {
+    const first = lines[start].trim().slice(3);
+
+    // Opened and closed on the same line: ```code```
+    if (first.length >= 3 && first.endsWith('```')) {
+        return { content: first.slice(0, -3), end: start };
+    }
+
+    for (let j = start + 1; j < lines.length; j++) {
+        const current = lines[j].trimEnd();
+        if (current.endsWith('```')) {
+            const body = [first, ...lines.slice(start + 1, j), current.slice(0, -3)];
+            return { content: body.join('\n'), end: j };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert the content of a ``` block to Markdown: an ASCII table becomes a GFM table,
+ * anything else a fenced code block.
+ * @param {string} content - Text between the fences
+ * @returns {string} Markdown block
+ */
+function reverseFence(content) {
+    const body = content.replace(/^\n/, '').replace(/\n$/, '');
+    const rows = body.split('\n');
+
+    // ASCII or box-drawing tables (any TABLE_BORDERS style)
+    const isAsciiTable = rows.length >= 3 && rows.every(row => /^[+|┌├╞└╭╰│]/.test(row.trim()));
+    if (isAsciiTable) {
+        const isContent = (row) => /^[|│]/.test(row.trim());
+        // Wrapped tables separate every row with a border line: lines between borders form one row
+        const wrapped = rows.filter(row => !isContent(row)).length > 3;
+        const cells = [];
+        let current = null;
+        for (const row of rows) {
+            if (!isContent(row)) {
+                current = null;
+                continue;
+            }
+            const rowCells = row.trim().slice(1, -1).split(/[|│]/).map(cell => cell.trim());
+            if (current) {
+                rowCells.forEach((cell, i) => {
+                    current[i] = [current[i], cell].filter(Boolean).join(' ');
+                });
+            } else {
+                cells.push(rowCells);
+                current = wrapped ? rowCells : null;
+            }
+        }
+        if (cells.length > 0) {
+            const [header, ...body] = cells;
+            const lines = [
+                '| ' + header.join(' | ') + ' |',
+                '|' + header.map(() => '---').join('|') + '|',
+                ...body.map(row => '| ' + row.join(' | ') + ' |')
+            ];
+            return lines.join('\n');
+        }
+    }
+
+    return '```\n' + body + '\n```';
+}
+
+/**
+ * Convert a single non-block WhatsApp line (heading, list item, rule or paragraph text).
+ * @param {string} line - WhatsApp line
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Markdown line
+ */
+function reverseLine(line, ctx) {
+    const { bullet, nestedBullet, taskChecked, taskUnchecked, hr } = ctx.options;
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+        return '';
+    }
+
+    // Horizontal rule
+    if (trimmed === hr || /^[─━—]{3,}$/.test(trimmed)) {
+        return '\n---\n';
+    }
+
+    // Emoji-prefixed bold heading
+    const level = headingLevel(trimmed, ctx);
+    if (level) {
+        return '#'.repeat(level.depth) + ' ' + reverseInline(level.text, ctx);
+    }
+
+    const indent = Math.floor(line.match(/^\s*/)[0].length / 2);
+
+    // Task and ordered items
+    const markedItem = (text) => {
+        for (const [marker, box] of [[taskChecked, '[x]'], [taskUnchecked, '[ ]']]) {
+            if (text.startsWith(marker + ' ')) {
+                return `- ${box} ` + reverseInline(text.slice(marker.length + 1), ctx);
+            }
+        }
+        const ordered = text.match(/^(\d+)[.)]\s+(.*)$/);
+        return ordered ? `${ordered[1]}. ` + reverseInline(ordered[2], ctx) : null;
+    };
+    const item = markedItem(trimmed);
+    if (item) {
+        return indentListItem(item, indent, ctx);
+    }
+
+    // Unordered items: "* text", "* ◦ ◦ text", "- text"
+    const bullets = [...new Set([bullet, '*', '-', '•'])].map(escapeRegExp).join('|');
+    const nested = escapeRegExp(nestedBullet);
+    const unordered = trimmed.match(new RegExp(`^(?:${bullets})\\s+((?:${nested}\\s+)*)(.*)$`));
+    if (unordered) {
+        const cues = (unordered[1].match(new RegExp(nested, 'g')) || []).length;
+        // Nested task and ordered items carry the same depth cue: "* ◦ ☐ text", "* ◦ 1. text"
+        const nestedItem = cues > 0 ? markedItem(unordered[2]) : null;
+        return indentListItem(nestedItem || '- ' + reverseInline(unordered[2], ctx), indent + cues, ctx);
+    }
+
+    // Plain paragraph text: keep WhatsApp text from turning into Markdown headings
+    return reverseInline(trimmed, ctx).replace(/^(#{1,6}\s)/, '\\$1');
+}
 
-            case 'text':
-                // Plain text - handle escaped characters
-                result.push(unescapeText(token.text));
-                break;
+/**
+ * Detect a callout title produced by renderAlert() with a type's own label: *<emoji> Label*.
+ * @param {string} line - Trimmed WhatsApp line
+ * @param {Object} ctx - Conversion context
+ * @returns {string|null} Alert type
+ */
+function alertKind(line, ctx) {
+    const kinds = Object.keys({ ...ALERT_STYLES, ...ctx.options.alerts });
+    return kinds.find(kind => {
+        const { emoji, label } = alertStyle(kind, ctx);
+        return line === `*${[emoji, label].filter(Boolean).join(' ')}*`;
+    }) || null;
+}
 
-            case 'escape':
-                // Escaped character - use Unicode look-alikes that WhatsApp won't interpret
-                result.push(escapeForWhatsApp(token.text));
-                break;
+/**
+ * Indent a Markdown list item so it starts at its parent item's text column:
+ * children of "1. " items need three spaces, children of "- " items two.
+ * @param {string} item - Markdown item without indentation, e.g. "1. text" or "- text"
+ * @param {number} depth - Nesting depth (0 = top level)
+ * @param {Object} ctx - Conversion context (tracks the text column of the open items)
+ * @returns {string} Indented Markdown item
+ */
+function indentListItem(item, depth, ctx) {
+    const columns = ctx.listColumns;
+    // A skipped level nests one level under the deepest open item
+    columns.length = Math.min(depth, columns.length);
+    const indent = columns.length > 0 ? columns[columns.length - 1] : 0;
+    columns.push(indent + item.indexOf(' ') + 1);
+    return ' '.repeat(indent) + item;
+}
 
-            case 'br':
-                result.push('\n');
-                break;
+/**
+ * Detect a heading produced by renderHeading(): *<emoji> text*.
+ * @param {string} line - Trimmed WhatsApp line
+ * @param {Object} ctx - Conversion context
+ * @returns {{depth: number, text: string}|null} Heading level and inner text
+ */
+function headingLevel(line, ctx) {
+    const match = line.match(/^\*(\S.*\S)\*$/);
+    if (!match) {
+        return null;
+    }
 
-            case 'html':
-                result.push(token.text);
-                break;
+    // Prefer longer emojis first so variation selectors are matched completely
+    const entries = Object.entries(ctx.options.headerEmojis || {})
+        .filter(([, emoji]) => emoji)
+        .sort((a, b) => b[1].length - a[1].length);
 
-            default:
-                // Fallback
-                result.push(token.raw || token.text || '');
+    for (const [depth, emoji] of entries) {
+        if (match[1].startsWith(emoji + ' ')) {
+            return { depth: Number(depth), text: match[1].slice(emoji.length + 1) };
         }
     }
+    return null;
+}
 
-    return result.join('');
+/**
+ * Convert WhatsApp inline formatting to Markdown.
+ * Code spans and URLs are set aside first so their content is never reformatted.
+ * @param {string} text - WhatsApp inline text
+ * @param {Object} ctx - Conversion context
+ * @returns {string} Markdown inline text
+ */
+function reverseInline(text, ctx) {
+    const placeholders = [];
+    const hold = (value) => `\u0000${placeholders.push(value) - 1}\u0000`;
+
+    let result = text
+        // Monospace and inline code
+        .replace(/```([^`]+?)```/g, (_, code) => hold('`' + code + '`'))
+        .replace(/`([^`\n]+)`/g, (_, code) => hold('`' + code + '`'))
+        // Links whose text was the URL itself, rendered as "url (url)"
+        .replace(/(https?:\/\/[^\s()]+) \(\1\)/g, (_, url) => hold(`<${url}>`))
+        // Links rendered as "text (url)" whose text is one formatted span
+        .replace(/(?<![\p{L}\p{N}])(\*[^*\n]+\*|_[^_\n]+_|~[^~\n]+~) \((https?:\/\/[^\s)]+)\)/gu, (_, label, url) =>
+            `[${label}]` + hold(`(${url})`))
+        // Bare URLs, including other "text (url)" links: where plain link text starts
+        // can't be told, so the text stays as it is and the URL becomes an autolink
+        .replace(/https?:\/\/[^\s)]+/g, url => hold(url))
+        // Bold and strikethrough (italic _text_ is already valid Markdown)
+        .replace(/(^|[^\p{L}\p{N}*])\*(?=\S)([^*\n]*?\S)\*(?![\p{L}\p{N}*])/gu, '$1**$2**')
+        .replace(/(^|[^\p{L}\p{N}~])~(?=\S)([^~\n]*?\S)~(?![\p{L}\p{N}~])/gu, '$1~~$2~~');
+
+    // Unicode look-alikes back to Markdown escapes
+    for (const [char, lookAlike] of Object.entries(LOOK_ALIKES)) {
+        result = result.split(lookAlike).join('\\' + char);
+    }
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
 }
 
 /**
- * Unescape common HTML entities that marked may produce.
- * @param {string} text - Text to unescape
- * @returns {string} Unescaped text
+ * Escape a string for literal use inside a regular expression.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
  */
-function unescapeText(text) {
-    if (!text) return '';
-    return text
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'");
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// =================================================================================================
+// WHATSAPP PREVIEW (parses text the way WhatsApp renders it)
+// =================================================================================================
+
+/**
+ * Inline markers WhatsApp recognises, mapped to preview node types.
+ * @type {Record<string, string>}
+ */
+const PREVIEW_MARKERS = {
+    '*': 'bold',
+    '_': 'italic',
+    '~': 'strike',
+    '`': 'code'
+};
+
+/**
+ * Parse WhatsApp-formatted text into the structure WhatsApp would display.
+ *
+ * Block rules (one block per line, except ``` blocks which may span lines):
+ * - ```...``` starting a line → { type: 'codeblock', text }
+ * - "> text" → { type: 'quote', children }
+ * - "* text" / "- text" → { type: 'item', ordered: false, marker, depth, children }
+ * - "1. text" → { type: 'item', ordered: true, marker, depth, children }
+ *   (items may be indented, as the modern profile nests them: depth counts 2-space steps)
+ * - anything else → { type: 'line', children } (empty lines have no children)
+ *
+ * Inline rules, as applied by WhatsApp:
+ * - *bold*, _italic_, ~strike~, `code`, ```monospace```
+ * - An opening marker must not follow a letter or digit and must be followed by a
+ *   non-space; a closing marker must follow a non-space and not be followed by a
+ *   letter or digit. Spans never cross lines.
+ * - A marker can't be nested inside a span of the same marker; code and monospace
+ *   content is never formatted.
+ * Inline nodes: { type: 'text', text } | { type: 'bold'|'italic'|'strike', children }
+ *   | { type: 'code'|'mono', text }
+ *
+ * @param {string} text - WhatsApp-formatted text
+ * @returns {Array<Object>} Block nodes
+ */
+function parseWhatsappFormatting(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Multi-line monospace block: opens at the start of a line, closes at the next ```
+        if (line.startsWith('```')) {
+            const rest = lines.slice(i).join('\n');
+            const close = rest.indexOf('```', 3);
+            if (close > 3) {
+                const after = rest.slice(close + 3);
+                const closingLine = i + rest.slice(0, close).split('\n').length - 1;
+                // Only a block if nothing but whitespace follows the closing fence
+                if (!after.split('\n')[0].trim()) {
+                    blocks.push({ type: 'codeblock', text: rest.slice(3, close) });
+                    i = closingLine;
+                    continue;
+                }
+            }
+        }
+
+        const quote = line.match(/^> (.*)$/);
+        if (quote) {
+            blocks.push({ type: 'quote', children: parseWhatsappInline(quote[1]) });
+            continue;
+        }
+
+        const bullet = line.match(/^( *)([*-]) (.*)$/);
+        if (bullet) {
+            const depth = Math.floor(bullet[1].length / 2);
+            blocks.push({ type: 'item', ordered: false, marker: bullet[2], depth, children: parseWhatsappInline(bullet[3]) });
+            continue;
+        }
+
+        const numbered = line.match(/^( *)(\d+\.) (.*)$/);
+        if (numbered) {
+            const depth = Math.floor(numbered[1].length / 2);
+            blocks.push({ type: 'item', ordered: true, marker: numbered[2], depth, children: parseWhatsappInline(numbered[3]) });
+            continue;
+        }
+
+        blocks.push({ type: 'line', children: parseWhatsappInline(line) });
+    }
+
+    return blocks;
 }
 
 /**
- * Convert Markdown formatting characters to Unicode look-alikes.
- * This prevents WhatsApp from interpreting escaped characters as formatting.
- * @param {string} char - The escaped character
- * @returns {string} Unicode look-alike character
+ * Parse a single line of WhatsApp inline formatting.
+ * @param {string} text - Line of text
+ * @param {Array<string>} [disallowed] - Markers of enclosing spans (can't be nested again)
+ * @returns {Array<Object>} Inline nodes
  */
-function escapeForWhatsApp(char) {
-    const lookAlikes = {
-        '*': '∗',  // U+2217 ASTERISK OPERATOR
-        '_': '＿', // U+FF3F FULLWIDTH LOW LINE
-        '~': '∼',  // U+223C TILDE OPERATOR
-        '`': 'ˋ',  // U+02CB MODIFIER LETTER GRAVE ACCENT
+function parseWhatsappInline(text, disallowed = []) {
+    const nodes = [];
+    let plain = '';
+
+    const flush = () => {
+        if (plain) {
+            nodes.push({ type: 'text', text: plain });
+            plain = '';
+        }
     };
-    return lookAlikes[char] || char;
+
+    let i = 0;
+    while (i < text.length) {
+        const span = matchWhatsappSpan(text, i, disallowed);
+        if (span) {
+            flush();
+            nodes.push(span.node);
+            i = span.end;
+        } else {
+            plain += text[i];
+            i++;
+        }
+    }
+    flush();
+
+    return nodes;
 }
 
 /**
- * Render inline tokens as plain text (no formatting markers).
- * Used for content inside monospace blocks like tables where formatting doesn't work.
- * @param {Array} tokens - Array of inline tokens
- * @returns {string} Plain text without formatting markers
+ * Try to match a formatting span opening at the given position.
+ * @param {string} text - Line of text
+ * @param {number} start - Position of the candidate opening marker
+ * @param {Array<string>} disallowed - Markers of enclosing spans
+ * @returns {{node: Object, end: number}|null} Span node and the index just after it
  */
-function renderPlainText(tokens) {
-    if (!tokens || !Array.isArray(tokens)) {
-        return '';
+function matchWhatsappSpan(text, start, disallowed) {
+    const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+    const isSpace = (char) => char === undefined || /\s/.test(char);
+
+    if (isWordChar(text[start - 1])) {
+        return null;
     }
 
-    return tokens.map(token => {
-        switch (token.type) {
-            case 'strong':
-            case 'em':
-            case 'del':
-                // Strip formatting markers, just return content
-                return renderPlainText(token.tokens);
+    // ```monospace``` (content is never formatted)
+    if (text.startsWith('```', start)) {
+        const close = text.indexOf('```', start + 3);
+        if (close > start + 3) {
+            return { node: { type: 'mono', text: text.slice(start + 3, close) }, end: close + 3 };
+        }
+        return null;
+    }
 
-            case 'codespan':
-                // Keep code content but without backticks
-                return token.text;
+    const marker = text[start];
+    const type = PREVIEW_MARKERS[marker];
+    if (!type || disallowed.includes(marker) || isSpace(text[start + 1])) {
+        return null;
+    }
 
-            case 'link':
-                // Link as "text (url)"
-                return renderPlainText(token.tokens) + ' (' + token.href + ')';
+    for (let close = text.indexOf(marker, start + 2); close !== -1; close = text.indexOf(marker, close + 1)) {
+        if (!isSpace(text[close - 1]) && !isWordChar(text[close + 1])) {
+            const content = text.slice(start + 1, close);
+            const node = type === 'code'
+                ? { type, text: content }
+                : { type, children: parseWhatsappInline(content, [...disallowed, marker]) };
+            return { node, end: close + 1 };
+        }
+    }
 
-            case 'image':
-                return '[' + token.text + ']';
+    return null;
+}
 
-            case 'text':
-                return unescapeText(token.text);
+/**
+ * Render WhatsApp-formatted text as preview HTML (escaped, safe for innerHTML).
+ * @param {string} text - WhatsApp-formatted text
+ * @returns {string} HTML markup
+ */
+function renderWhatsappPreview(text) {
+    return parseWhatsappFormatting(text).map(block => {
+        switch (block.type) {
+            case 'codeblock':
+                return `<pre class="wa-codeblock">${escapeHtml(block.text.replace(/^\n|\n$/g, ''))}</pre>`;
 
-            case 'escape':
-                return token.text;
+            case 'quote':
+                return `<div class="wa-quote">${previewInlineHtml(block.children) || '&nbsp;'}</div>`;
 
-            case 'br':
-                return ' ';
+            case 'item':
+                return `<div class="wa-item" style="--depth: ${block.depth}"><span class="wa-item-marker">${block.ordered ? escapeHtml(block.marker) : '•'}</span>`
+                    + `<span>${previewInlineHtml(block.children)}</span></div>`;
 
             default:
-                return token.raw || token.text || '';
+                return `<div class="wa-line">${previewInlineHtml(block.children) || '&nbsp;'}</div>`;
+        }
+    }).join('');
+}
+
+/**
+ * Render inline preview nodes as HTML.
+ * @param {Array<Object>} nodes - Inline nodes from parseWhatsappInline()
+ * @returns {string} HTML markup
+ */
+function previewInlineHtml(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'bold':
+                return `<strong>${previewInlineHtml(node.children)}</strong>`;
+            case 'italic':
+                return `<em>${previewInlineHtml(node.children)}</em>`;
+            case 'strike':
+                return `<s>${previewInlineHtml(node.children)}</s>`;
+            case 'code':
+                return `<code class="wa-code">${escapeHtml(node.text)}</code>`;
+            case 'mono':
+                return `<span class="wa-mono">${escapeHtml(node.text)}</span>`;
+            default:
+                return escapeHtml(node.text);
         }
     }).join('');
 }
 
+/**
+ * Escape text for safe insertion into HTML.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // =================================================================================================
 // DOM MANIPULATION AND EVENT LISTENERS
 // =================================================================================================
 
-// Wait for the DOM to be fully loaded before running the script.
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Wire up the web page: live conversion, option controls and copy button.
+ */
+function initUI() {
 
     // Get references to the DOM elements.
     const markdownInput = document.getElementById('markdown-input');
     const whatsappOutput = document.getElementById('whatsapp-output');
     const copyButton = document.getElementById('copy-button');
     const toast = document.getElementById('toast');
+    const splitToggle = document.getElementById('splitMessages');
+    const messageList = document.getElementById('message-chunks');
+    const preview = document.getElementById('whatsapp-preview');
+    const previewContainer = document.getElementById('preview-container');
+    const outputTitle = document.getElementById('output-title');
+    const diagnosticsList = document.getElementById('diagnostics');
+    const richPasteNote = document.getElementById('rich-paste-note');
+    const frontMatterNote = document.getElementById('front-matter-note');
+    const frontMatterList = document.getElementById('front-matter-settings');
+
+    // Last rich text paste: its HTML is converted for as long as the input still holds its plain text
+    let richPaste = null;
+    const themeSelect = document.getElementById('headingTheme');
+    const themeRows = document.getElementById('heading-theme-rows');
+
+    // Custom heading themes and the last selected theme are kept in localStorage
+    const THEME_STORAGE_KEY = 'markdown-to-whatsapp.headingThemes';
+    const CUSTOM_THEME = 'custom';
+    const SAVED_THEME_PREFIX = 'saved:';
+    const THEME_LABELS = {
+        emoji: 'Emoji (default)',
+        plain: 'Plain bold',
+        ruled: 'Uppercase with rules',
+        outline: 'Outline symbols',
+        text: 'No formatting'
+    };
+    const THEME_FIELDS = {
+        case: ['none', 'upper', 'lower', 'title'],
+        emphasis: ['bold', 'italic', 'bold-italic', 'none'],
+        spacing: ['compact', 'normal', 'loose']
+    };
+
+    // The controls of each option, disabled while the document's front matter sets it
+    const OPTION_CONTROLS = {
+        tableFormat: 'input[name="tableFormat"]',
+        tableThreshold: '#tableThreshold',
+        tableWrap: '#tableWrap',
+        tableBorder: '#tableBorder',
+        target: '#target',
+        profile: 'input[name="profile"]',
+        orderedNumbering: '#orderedNumbering',
+        linkStyle: 'input[name="linkStyle"]',
+        footnoteStyle: '#footnoteBrackets',
+        messageLimit: '#messageLimit',
+        messageCounters: '#messageCounters',
+        neutralizeStrayMarkers: '#neutralizeStrayMarkers',
+        emojiShortcodes: '#emojiShortcodes',
+        headingTheme: '#headingTheme',
+        numberHeadings: '#numberHeadings',
+        numberHeadingsFrom: '#numberHeadingsFrom',
+        tableOfContents: '#tableOfContents'
+    };
+
+    /**
+     * Build the converter options from the current state of the UI controls.
+     * @returns {Object} Conversion options
+     */
+    function getOptionsFromUI() {
+        return {
+            tableFormat: document.querySelector('input[name="tableFormat"]:checked')?.value || 'auto',
+            tableThreshold: parseInt(document.getElementById('tableThreshold')?.value || '26', 10),
+            tableWrap: document.getElementById('tableWrap')?.checked ?? true,
+            tableBorder: document.getElementById('tableBorder')?.value || 'ascii',
+            target: document.getElementById('target')?.value || 'whatsapp',
+            profile: document.querySelector('input[name="profile"]:checked')?.value || 'legacy',
+            orderedNumbering: document.getElementById('orderedNumbering')?.value || 'decimal',
+            linkStyle: document.querySelector('input[name="linkStyle"]:checked')?.value || 'inline',
+            footnoteStyle: document.getElementById('footnoteBrackets')?.checked ? 'brackets' : 'superscript',
+            messageLimit: parseInt(document.getElementById('messageLimit')?.value || '4096', 10),
+            messageCounters: document.getElementById('messageCounters')?.checked || false,
+            neutralizeStrayMarkers: document.getElementById('neutralizeStrayMarkers')?.checked ?? true,
+            emojiShortcodes: document.getElementById('emojiShortcodes')?.checked ?? true,
+            headingTheme: getHeadingTheme(),
+            numberHeadings: document.getElementById('numberHeadings')?.checked || false,
+            numberHeadingsFrom: parseInt(document.getElementById('numberHeadingsFrom')?.value || '1', 10),
+            tableOfContents: document.getElementById('tableOfContents')?.checked || false
+        };
+    }
+
+    /**
+     * Read saved heading themes and the last selection from localStorage.
+     * @returns {{selected: string, themes: Record<string, Object>}} Stored theme settings
+     */
+    function loadThemeSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY));
+            return { selected: DEFAULT_OPTIONS.headingTheme, themes: {}, ...stored };
+        } catch {
+            return { selected: DEFAULT_OPTIONS.headingTheme, themes: {} };
+        }
+    }
+
+    /**
+     * Persist saved heading themes and the current selection.
+     * @param {{selected: string, themes: Record<string, Object>}} settings - Theme settings
+     */
+    function storeThemeSettings(settings) {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.error('Could not save heading themes:', err);
+        }
+    }
+
+    /**
+     * Fill the theme dropdown with built-in and saved themes.
+     * @param {string} selected - Value to select
+     */
+    function populateThemeSelect(selected) {
+        const { themes } = loadThemeSettings();
+        themeSelect.replaceChildren();
+        for (const name of Object.keys(HEADING_THEMES)) {
+            themeSelect.append(new Option(THEME_LABELS[name] || name, name));
+        }
+        const names = Object.keys(themes);
+        if (names.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Saved';
+            for (const name of names) {
+                group.append(new Option(name, SAVED_THEME_PREFIX + name));
+            }
+            themeSelect.append(group);
+        }
+        themeSelect.append(new Option('Custom (unsaved)', CUSTOM_THEME));
+
+        const exists = [...themeSelect.options].some(option => option.value === selected);
+        themeSelect.value = exists ? selected : DEFAULT_OPTIONS.headingTheme;
+    }
+
+    /**
+     * Create one editor row per heading depth.
+     */
+    function buildThemeEditor() {
+        const inputClass = 'px-1 py-0.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800';
+        for (let depth = 1; depth <= 6; depth++) {
+            const row = document.createElement('tr');
+            row.dataset.depth = depth;
+
+            const label = document.createElement('th');
+            label.textContent = `H${depth}`;
+            row.append(label);
+
+            const addCell = (field, input) => {
+                input.dataset.field = field;
+                input.setAttribute('aria-label', `H${depth} ${field}`);
+                const cell = document.createElement('td');
+                cell.append(input);
+                row.append(cell);
+            };
+
+            const emoji = document.createElement('input');
+            emoji.type = 'checkbox';
+            addCell('emoji', emoji);
+
+            for (const field of ['prefix', 'suffix']) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = inputClass;
+                addCell(field, input);
+            }
+
+            for (const [field, values] of Object.entries(THEME_FIELDS)) {
+                const select = document.createElement('select');
+                select.className = inputClass;
+                for (const value of values) {
+                    select.append(new Option(value, value));
+                }
+                addCell(field, select);
+            }
+
+            const rule = document.createElement('input');
+            rule.type = 'text';
+            rule.className = inputClass;
+            addCell('rule', rule);
+
+            themeRows.append(row);
+        }
+    }
+
+    /**
+     * Resolve the theme object behind a dropdown value.
+     * @param {string} value - Dropdown value
+     * @returns {?Object} Theme, or null for the unsaved custom entry
+     */
+    function themeForValue(value) {
+        if (value.startsWith(SAVED_THEME_PREFIX)) {
+            return loadThemeSettings().themes[value.slice(SAVED_THEME_PREFIX.length)] || null;
+        }
+        return HEADING_THEMES[value] || null;
+    }
+
+    /**
+     * Show a theme's per-depth styles in the editor.
+     * @param {Object} theme - Heading theme
+     */
+    function fillThemeEditor(theme) {
+        for (const row of themeRows.rows) {
+            const depth = row.dataset.depth;
+            const style = { ...HEADING_STYLE_DEFAULTS, ...(theme[depth] || theme[6]) };
+            for (const input of row.querySelectorAll('[data-field]')) {
+                if (input.type === 'checkbox') {
+                    input.checked = Boolean(style[input.dataset.field]);
+                } else {
+                    input.value = style[input.dataset.field];
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a theme from the editor fields.
+     * @returns {Record<number, Object>} Heading theme
+     */
+    function readThemeEditor() {
+        const theme = {};
+        for (const row of themeRows.rows) {
+            const style = {};
+            for (const input of row.querySelectorAll('[data-field]')) {
+                style[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+            }
+            theme[row.dataset.depth] = style;
+        }
+        return theme;
+    }
+
+    /**
+     * Get the headingTheme option for the current selection.
+     * @returns {string|Object} Built-in theme name or theme object
+     */
+    function getHeadingTheme() {
+        const value = themeSelect.value;
+        if (HEADING_THEMES[value]) {
+            return value;
+        }
+        return themeForValue(value) || readThemeEditor();
+    }
+
+    /**
+     * Load the selected theme into the editor, remember it and re-convert.
+     */
+    function handleThemeChange() {
+        const theme = themeForValue(themeSelect.value);
+        if (theme) {
+            fillThemeEditor(theme);
+        }
+        storeThemeSettings({ ...loadThemeSettings(), selected: themeSelect.value });
+        handleConversion();
+    }
+
+    /**
+     * Save the editor contents as a named theme.
+     */
+    function saveCustomTheme() {
+        const nameInput = document.getElementById('headingThemeName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+        const settings = loadThemeSettings();
+        settings.themes[name] = readThemeEditor();
+        settings.selected = SAVED_THEME_PREFIX + name;
+        storeThemeSettings(settings);
+        populateThemeSelect(settings.selected);
+        handleConversion();
+    }
+
+    /**
+     * Delete the selected saved theme and fall back to the default one.
+     */
+    function deleteCustomTheme() {
+        if (!themeSelect.value.startsWith(SAVED_THEME_PREFIX)) {
+            return;
+        }
+        const settings = loadThemeSettings();
+        delete settings.themes[themeSelect.value.slice(SAVED_THEME_PREFIX.length)];
+        settings.selected = DEFAULT_OPTIONS.headingTheme;
+        storeThemeSettings(settings);
+        populateThemeSelect(settings.selected);
+        handleThemeChange();
+    }
+
+    /**
+     * Show the "copied" toast for a few seconds.
+     */
+    function showToast() {
+        toast.classList.add('show');
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
+    }
+
+    /**
+     * List the lossy decisions the converter made, with their source lines.
+     * @param {Array<Object>} diagnostics - Diagnostics reported by the converter
+     */
+    function renderDiagnostics(diagnostics) {
+        diagnosticsList.replaceChildren();
+        diagnosticsList.classList.toggle('hidden', diagnostics.length === 0);
+        for (const { line, severity, message } of diagnostics) {
+            const entry = document.createElement('li');
+            entry.className = `diagnostic diagnostic-${severity}`;
+            entry.textContent = `${severity === 'warning' ? '⚠️' : 'ℹ️'} Line ${line}: ${message}`;
+            diagnosticsList.append(entry);
+        }
+    }
+
+    /**
+     * Show which options the document's front matter sets: list them under the input
+     * and disable their controls, which would have no effect.
+     * @param {Object} frontMatter - Options set by the front matter
+     */
+    function renderFrontMatter(frontMatter) {
+        frontMatterList.replaceChildren();
+        for (const [option, value] of Object.entries(frontMatter)) {
+            const entry = document.createElement('li');
+            entry.textContent = `${option}: ${value}`;
+            frontMatterList.append(entry);
+        }
+        frontMatterNote.classList.toggle('hidden', frontMatterList.children.length === 0);
+
+        for (const [option, selector] of Object.entries(OPTION_CONTROLS)) {
+            const fromDocument = Object.prototype.hasOwnProperty.call(frontMatter, option);
+            document.querySelectorAll(selector).forEach(control => {
+                control.disabled = fromDocument;
+                control.title = fromDocument ? 'Set by the document\'s front matter' : '';
+            });
+        }
+    }
+
+    /**
+     * Show the output split into messages, each with its own copy button.
+     * The list is hidden when splitting is off or when converting back to Markdown.
+     */
+    function renderMessageChunks() {
+        messageList.replaceChildren();
+        if (!splitToggle.checked || isReverse()) {
+            messageList.classList.add('hidden');
+            return;
+        }
+        messageList.classList.remove('hidden');
+
+        const { text: input, options } = getForwardInput();
+        const messages = convertTextToWhatsappMessages(input, options);
+        messages.forEach((message, index) => {
+            const item = document.createElement('div');
+            item.className = 'message-chunk';
+
+            const header = document.createElement('div');
+            header.className = 'flex justify-between items-center mb-1 text-xs text-gray-500 dark:text-gray-400';
+            const label = document.createElement('span');
+            label.textContent = `Message ${index + 1} of ${messages.length} · ${message.length} chars`;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'px-2 py-1 bg-[#25D366] text-white font-semibold rounded hover:bg-[#128C7E] transition';
+            button.textContent = 'Copy';
+            button.setAttribute('aria-label', `Copy message ${index + 1}`);
+            button.addEventListener('click', () => {
+                navigator.clipboard.writeText(message).then(() => {
+                    button.textContent = 'Copied!';
+                    setTimeout(() => {
+                        button.textContent = 'Copy';
+                    }, 2000);
+                    showToast();
+                }).catch(err => {
+                    console.error('Could not copy text to clipboard:', err);
+                });
+            });
+
+            const text = document.createElement('pre');
+            text.className = 'whitespace-pre-wrap text-sm';
+            text.textContent = message;
+
+            header.append(label, button);
+            item.append(header, text);
+            messageList.append(item);
+        });
+    }
+
+    /**
+     * Get the text to convert to WhatsApp and its format: the HTML of a rich text paste
+     * while the input is unchanged since the paste, otherwise the Markdown in the input.
+     * @returns {{text: string, options: Object}} Input and conversion options
+     */
+    function getForwardInput() {
+        const options = getOptionsFromUI();
+        if (richPaste && richPaste.text !== markdownInput.value) {
+            richPaste = null;
+        }
+        richPasteNote.classList.toggle('hidden', !richPaste || isReverse());
+        if (richPaste) {
+            return { text: richPaste.html, options: { ...options, inputFormat: 'html' } };
+        }
+        return { text: markdownInput.value, options };
+    }
+
+    /**
+     * Take the HTML flavor of a paste that replaces the whole input (e.g. from Google Docs),
+     * so its formatting is converted directly. Pasting into existing Markdown keeps plain text.
+     * @param {ClipboardEvent} event - Paste event on the Markdown input
+     */
+    function handleRichPaste(event) {
+        const html = event.clipboardData && event.clipboardData.getData('text/html');
+        const replacesAll = markdownInput.selectionStart === 0 && markdownInput.selectionEnd === markdownInput.value.length;
+        if (isReverse() || !html || !replacesAll) {
+            return;
+        }
+
+        event.preventDefault();
+        markdownInput.value = event.clipboardData.getData('text/plain');
+        // Read the value back: the textarea normalizes line endings
+        richPaste = { html, text: markdownInput.value };
+        handleConversion();
+    }
+
+    /**
+     * Whether the user is converting WhatsApp text back to Markdown.
+     * @returns {boolean} True when the WhatsApp panel is the input
+     */
+    function isReverse() {
+        return document.querySelector('input[name="direction"]:checked')?.value === 'toMarkdown';
+    }
+
+    /**
+     * Get the panel currently holding the result of the conversion.
+     * @returns {HTMLTextAreaElement} Output textarea
+     */
+    function getOutputPanel() {
+        return isReverse() ? markdownInput : whatsappOutput;
+    }
 
     /**
      * Handle real-time conversion as the user types.
      */
     function handleConversion() {
+        const output = getOutputPanel();
         try {
-            const converted = convertTextToWhatsapp(markdownInput.value);
-            whatsappOutput.value = converted;
+            let converted;
+            let diagnostics = [];
+            let frontMatter = {};
+            const { text: input, options } = getForwardInput();
+            if (isReverse()) {
+                converted = convertWhatsappToMarkdown(whatsappOutput.value, options);
+            } else {
+                ({ text: converted, diagnostics, frontMatter } = convertTextToWhatsappWithReport(input, options));
+            }
+            output.value = converted;
+            renderDiagnostics(diagnostics);
+            renderFrontMatter(frontMatter);
 
             // Enable/disable copy button based on content
             if (converted.trim()) {
@@ -803,17 +5102,49 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 copyButton.setAttribute('disabled', 'true');
             }
+
+            // The WhatsApp panel is either the output or, in reverse mode, the input.
+            // Other targets format differently, so the preview only shows WhatsApp text.
+            const chosen = isReverse() ? 'whatsapp' : frontMatter.target || options.target;
+            const target = OUTPUT_TARGETS[chosen] ? chosen : DEFAULT_OPTIONS.target;
+            outputTitle.textContent = `${OUTPUT_TARGETS[target].label} Output`;
+            previewContainer.classList.toggle('hidden', target !== 'whatsapp');
+            preview.innerHTML = target === 'whatsapp' ? renderWhatsappPreview(whatsappOutput.value) : '';
+            renderMessageChunks();
         } catch (error) {
             console.error('Conversion error:', error);
-            whatsappOutput.value = 'Error during conversion. Check console for details.';
+            output.value = 'Error during conversion. Check console for details.';
         }
     }
 
-    // Convert on input changes.
-    markdownInput.addEventListener('input', handleConversion);
+    /**
+     * Swap the roles of the two panels when the direction changes.
+     */
+    function handleDirectionChange() {
+        const reverse = isReverse();
+        markdownInput.placeholder = reverse
+            ? 'Markdown will appear here...'
+            : 'Paste the text to convert here...';
+        whatsappOutput.placeholder = reverse
+            ? 'Paste the WhatsApp text to convert here...'
+            : 'Converted text will appear here...';
+        handleConversion();
+    }
+
+    // Convert on input changes, from whichever panel is currently the input.
+    markdownInput.addEventListener('paste', handleRichPaste);
+    markdownInput.addEventListener('input', () => {
+        if (!isReverse()) handleConversion();
+    });
+    whatsappOutput.addEventListener('input', () => {
+        if (isReverse()) handleConversion();
+    });
+    document.querySelectorAll('input[name="direction"]').forEach(radio => {
+        radio.addEventListener('change', handleDirectionChange);
+    });
 
-    // Convert on table format option changes
-    document.querySelectorAll('input[name="tableFormat"]').forEach(radio => {
+    // Convert on profile, link style and table format option changes
+    document.querySelectorAll('input[name="profile"], input[name="linkStyle"], input[name="tableFormat"]').forEach(radio => {
         radio.addEventListener('change', handleConversion);
     });
     const thresholdInput = document.getElementById('tableThreshold');
@@ -821,6 +5152,34 @@ document.addEventListener('DOMContentLoaded', () => {
         thresholdInput.addEventListener('input', handleConversion);
     }
 
+    document.getElementById('orderedNumbering').addEventListener('change', handleConversion);
+    document.getElementById('tableWrap').addEventListener('change', handleConversion);
+    document.getElementById('tableBorder').addEventListener('change', handleConversion);
+    document.getElementById('footnoteBrackets').addEventListener('change', handleConversion);
+    document.getElementById('neutralizeStrayMarkers').addEventListener('change', handleConversion);
+    document.getElementById('emojiShortcodes').addEventListener('change', handleConversion);
+    document.getElementById('target').addEventListener('change', handleConversion);
+
+    // Heading themes: restore saved themes and the last selection, then re-convert on edits
+    buildThemeEditor();
+    populateThemeSelect(loadThemeSettings().selected);
+    fillThemeEditor(themeForValue(themeSelect.value) || HEADING_THEMES[DEFAULT_OPTIONS.headingTheme]);
+    themeSelect.addEventListener('change', handleThemeChange);
+    themeRows.addEventListener('input', () => {
+        themeSelect.value = CUSTOM_THEME;
+        handleConversion();
+    });
+    document.getElementById('saveHeadingTheme').addEventListener('click', saveCustomTheme);
+    document.getElementById('deleteHeadingTheme').addEventListener('click', deleteCustomTheme);
+    document.getElementById('numberHeadings').addEventListener('change', handleConversion);
+    document.getElementById('numberHeadingsFrom').addEventListener('change', handleConversion);
+    document.getElementById('tableOfContents').addEventListener('change', handleConversion);
+
+    // Re-split on message splitting option changes
+    splitToggle.addEventListener('change', handleConversion);
+    document.getElementById('messageLimit').addEventListener('input', handleConversion);
+    document.getElementById('messageCounters').addEventListener('change', handleConversion);
+
     // Initial conversion for any pre-filled text.
     handleConversion();
 
@@ -830,14 +5189,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Copy button handler.
     copyButton.addEventListener('click', () => {
-        if (!whatsappOutput.value || isCopying) {
+        const output = getOutputPanel();
+        if (!output.value || isCopying) {
             return;
         }
 
         isCopying = true;
 
         // Use the modern Clipboard API (secure context and user gesture required). No legacy fallback.
-        navigator.clipboard.writeText(whatsappOutput.value).then(() => {
+        navigator.clipboard.writeText(output.value).then(() => {
             // Visual feedback on button
             copyButton.innerHTML = `
                 <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -861,10 +5221,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }, 2000);
 
             // Show success toast.
-            toast.classList.add('show');
-            setTimeout(() => {
-                toast.classList.remove('show');
-            }, 3000);
+            showToast();
         }).catch(err => {
             // Log any errors to the console for debugging.
             console.error('Could not copy text to clipboard:', err);
@@ -874,13 +5231,22 @@ document.addEventListener('DOMContentLoaded', () => {
         // Deselect any selection after the copy attempt.
         window.getSelection().removeAllRanges();
     });
-});
+}
+
+// Wait for the DOM to be fully loaded before running the script (browser only).
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', initUI);
+}
 
 // =================================================================================================
-// EXPORTS (for Node.js testing)
+// EXPORTS (for Node.js, CommonJS or ES module import)
 // =================================================================================================
 
 // Export for Node.js while keeping browser compatibility
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { convertTextToWhatsapp };
+    module.exports = {
+        convertTextToWhatsapp, convertTextToWhatsappWithReport, convertTextToWhatsappMessages, convertWhatsappToMarkdown,
+        parseWhatsappFormatting, renderWhatsappPreview, htmlToTokens, DEFAULT_OPTIONS, HEADER_EMOJIS, HEADING_THEMES,
+        ORDERED_NUMBERING_SCHEMES, ALERT_STYLES, OUTPUT_TARGETS, OPTION_VALUES
+    };
 }
\ No newline at end of file
@@ -2,42 +2,51 @@
  * File-based test suite for Markdown to WhatsApp converter
  * 
  * Structure:
- *   tests/inputs/   - Markdown input files (.md)
- *   tests/expected/ - Expected WhatsApp output files (.txt)
+ *   tests/inputs/   - Markdown input files (.md), HTML input files (.html, converted as pasted
+ *                     rich text), or WhatsApp input files (.txt)
+ *   tests/expected/ - Expected WhatsApp output files (.txt), or Markdown output (.md)
+ *   tests/options/  - Optional converter options per test (.json, same base name)
+ *
+ * Tests whose options set messageLimit run through the message splitter; the expected
+ * file then holds the messages joined by MESSAGE_SEPARATOR.
  * 
  * Run with: npm test
  */
 
-import { readFileSync, readdirSync } from 'fs';
-import { join, dirname, basename } from 'path';
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, dirname, extname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
+import { spawnSync } from 'child_process';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const require = createRequire(import.meta.url);
 
-// Mock browser globals that script.js expects
-globalThis.document = {
-    addEventListener: () => { },
-    // For table tests: use 'auto' so both ASCII (short) and list (long) formats are tested
-    querySelector: (selector) => {
-        if (selector === 'input[name="tableFormat"]:checked') {
-            return { value: 'auto' };
-        }
-        return null;
-    },
-    querySelectorAll: () => [],
-    getElementById: (id) => {
-        if (id === 'tableThreshold') {
-            return { value: '26' };
-        }
-        return null;
-    }
-};
+// Provide marked the same way index.html does; script.js only falls back to
+// require('marked') when no global is present, and the package lives in tests/node_modules.
+// No DOM mock is needed: options are passed explicitly.
 globalThis.marked = require('marked');
 
 // Import the converter from the actual script
-const { convertTextToWhatsapp } = require('../docs/script.js');
+const {
+    convertTextToWhatsapp,
+    convertTextToWhatsappWithReport,
+    convertTextToWhatsappMessages,
+    convertWhatsappToMarkdown,
+    parseWhatsappFormatting
+} = require('../docs/script.js');
+
+const MESSAGE_SEPARATOR = '\n\n--- message break ---\n\n';
+
+/**
+ * Split conversion, with messages joined so they can be compared to a single file.
+ * @param {string} input - Markdown input
+ * @param {Object} options - Converter options
+ * @returns {string} Joined messages
+ */
+function convertToMessages(input, options) {
+    return convertTextToWhatsappMessages(input, options).join(MESSAGE_SEPARATOR);
+}
 
 // =================================================================================================
 // TEST RUNNER
@@ -45,22 +54,44 @@ const { convertTextToWhatsapp } = require('../docs/script.js');
 
 const inputsDir = join(__dirname, 'inputs');
 const expectedDir = join(__dirname, 'expected');
+const optionsDir = join(__dirname, 'options');
+
+/**
+ * Load the converter options for a test, if any.
+ * Tests without an options file run with the defaults (tables in 'auto' mode,
+ * so both ASCII (short) and list (long) formats are tested).
+ * @param {string} testName - Base name of the test
+ * @returns {Object} Converter options
+ */
+function loadOptions(testName) {
+    const optionsFile = join(optionsDir, testName + '.json');
+    return existsSync(optionsFile) ? JSON.parse(readFileSync(optionsFile, 'utf-8')) : {};
+}
 
 let passed = 0;
 let failed = 0;
 
 console.log('\n========== FILE-BASED TESTS ==========\n');
 
-const inputFiles = readdirSync(inputsDir).filter(f => f.endsWith('.md'));
+// .md and .html inputs are converted to WhatsApp, .txt inputs back to Markdown
+const inputFiles = readdirSync(inputsDir).filter(f => ['.md', '.html', '.txt'].includes(extname(f)));
 
 for (const inputFile of inputFiles) {
-    const testName = basename(inputFile, '.md');
-    const expectedFile = testName + '.txt';
+    const reverse = extname(inputFile) === '.txt';
+    const testName = basename(inputFile, extname(inputFile));
+    const expectedFile = testName + (reverse ? '.md' : '.txt');
+    const options = loadOptions(testName);
+    if (extname(inputFile) === '.html') {
+        options.inputFormat = 'html';
+    }
+    const convert = reverse ? convertWhatsappToMarkdown
+        : options.messageLimit ? convertToMessages
+            : convertTextToWhatsapp;
 
     try {
         const input = readFileSync(join(inputsDir, inputFile), 'utf-8');
         const expected = readFileSync(join(expectedDir, expectedFile), 'utf-8').trim();
-        const actual = convertTextToWhatsapp(input);
+        const actual = convert(input, options);
 
         if (actual === expected) {
             console.log(`✅ ${testName}`);
@@ -79,6 +110,280 @@ for (const inputFile of inputFiles) {
     }
 }
 
+// =================================================================================================
+// DIAGNOSTICS TESTS
+// =================================================================================================
+
+console.log('\n========== DIAGNOSTICS TESTS ==========\n');
+
+// Diagnostics are compared as "line:severity:code" for an input fixture
+const diagnosticsCases = [
+    {
+        name: 'diagnostics',
+        expected: [
+            '3:warning:partial-word',
+            '7:info:list-flattened',
+            '9:info:html-stripped',
+            '11:info:table-as-list',
+            '15:info:neutralized',
+            '17:info:html-stripped'
+        ]
+    },
+    {
+        name: 'table_directive_errors',
+        expected: [
+            '4:warning:table-directive',
+            '11:warning:table-directive'
+        ]
+    },
+    {
+        name: 'front_matter_invalid',
+        expected: [
+            '2:warning:front-matter',
+            '3:warning:front-matter'
+        ]
+    }
+];
+
+for (const { name, expected } of diagnosticsCases) {
+    const input = readFileSync(join(inputsDir, name + '.md'), 'utf-8');
+    const { diagnostics } = convertTextToWhatsappWithReport(input, loadOptions(name));
+    const actual = diagnostics.map(d => `${d.line}:${d.severity}:${d.code}`);
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`❌ ${name}`);
+        console.log(`   --- Expected ---\n   ${expected.join('\n   ')}`);
+        console.log(`   --- Actual ---\n   ${actual.join('\n   ')}`);
+        failed++;
+    }
+}
+
+// =================================================================================================
+// HOOK TESTS
+// =================================================================================================
+
+console.log('\n========== HOOK TESTS ==========\n');
+
+// Ticket references (PROJ-123) as a custom marked extension, linked by an inline override
+const ticketExtension = {
+    name: 'ticket',
+    level: 'inline',
+    start: (src) => src.match(/\b[A-Z]+-\d/)?.index,
+    tokenizer(src) {
+        const match = /^[A-Z]+-\d+\b/.exec(src);
+        return match ? { type: 'ticket', raw: match[0], text: match[0] } : undefined;
+    }
+};
+
+const hooks = {
+    extensions: [ticketExtension],
+    inline: {
+        ticket: (token, ctx, renderDefault) => renderDefault({
+            type: 'link',
+            raw: token.raw,
+            href: `https://jira.example.com/browse/${token.text}`,
+            text: token.text,
+            tokens: [{ type: 'text', raw: token.text, text: token.text }]
+        })
+    },
+    block: {
+        hr: () => null,
+        code: (token, ctx, renderDefault) => `📄 ${token.lang}\n${renderDefault(token)}`
+    }
+};
+
+const hookCases = [
+    {
+        name: 'extension tokens rendered by an inline override',
+        input: 'See PROJ-123 and *PROJ-7*',
+        options: { hooks },
+        expected: 'See PROJ-123 (https://jira.example.com/browse/PROJ-123) and _PROJ-7 (https://jira.example.com/browse/PROJ-7)_'
+    },
+    {
+        name: 'block overrides wrap or drop the default',
+        input: 'One\n\n---\n\n```js\nlet a;\n```',
+        options: { hooks },
+        expected: 'One\n\n📄 js\n```let a;```'
+    },
+    {
+        name: 'default renderer follows the output target',
+        input: 'Fix PROJ-12',
+        options: { hooks, target: 'telegram' },
+        expected: 'Fix [PROJ\\-12](https://jira.example.com/browse/PROJ-12)'
+    },
+    {
+        name: 'block overrides reach nested lists, item text and quotes',
+        input: '* a\n  * b\n\n> q\n>\n> > r',
+        options: {
+            hooks: {
+                block: {
+                    list: (token, ctx, renderDefault) => renderDefault(token) + ' ←',
+                    text: (token, ctx, renderDefault) => renderDefault(token).toUpperCase(),
+                    paragraph: (token, ctx, renderDefault) => renderDefault(token).toUpperCase(),
+                    blockquote: (token, ctx, renderDefault) => renderDefault(token) + ' ✓'
+                }
+            }
+        },
+        expected: '* A\n* ◦ B ← ←\n\n> Q\n> > R ✓ ✓'
+    },
+    {
+        name: 'hooks do not outlive their conversion',
+        input: 'See PROJ-123\n\n---',
+        options: {},
+        expected: 'See PROJ-123\n\n───────────────'
+    }
+];
+
+for (const { name, input, options, expected } of hookCases) {
+    const actual = convertTextToWhatsapp(input, options);
+    if (actual === expected) {
+        console.log(`✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`❌ ${name}`);
+        console.log(`   --- Expected ---\n   ${expected.split('\n').join('\n   ')}`);
+        console.log(`   --- Actual ---\n   ${actual.split('\n').join('\n   ')}`);
+        failed++;
+    }
+}
+
+// =================================================================================================
+// PREVIEW TESTS
+// =================================================================================================
+
+console.log('\n========== PREVIEW TESTS ==========\n');
+
+const text = (value) => ({ type: 'text', text: value });
+const line = (...children) => ({ type: 'line', children });
+
+const previewCases = [
+    {
+        name: 'nested different markers',
+        input: '*_both_* ~gone~',
+        expected: [line(
+            { type: 'bold', children: [{ type: 'italic', children: [text('both')] }] },
+            text(' '),
+            { type: 'strike', children: [text('gone')] }
+        )]
+    },
+    {
+        name: 'word boundaries are required',
+        input: 'file_name_v2 *bold*ly 5 * 3 * 2',
+        expected: [line(text('file_name_v2 *bold*ly 5 * 3 * 2'))]
+    },
+    {
+        name: 'same marker does not nest',
+        input: '*a *b* c*',
+        expected: [line({ type: 'bold', children: [text('a *b')] }, text(' c*'))]
+    },
+    {
+        name: 'code content is not formatted',
+        input: '`*x*` ```_y_```',
+        expected: [line({ type: 'code', text: '*x*' }, text(' '), { type: 'mono', text: '_y_' })]
+    },
+    {
+        name: 'blocks: quote, list items and monospace block',
+        input: '> *q*\n* ◦ item\n1. one\n```\n*raw*\n```',
+        expected: [
+            { type: 'quote', children: [{ type: 'bold', children: [text('q')] }] },
+            { type: 'item', ordered: false, marker: '*', depth: 0, children: [text('◦ item')] },
+            { type: 'item', ordered: true, marker: '1.', depth: 0, children: [text('one')] },
+            { type: 'codeblock', text: '\n*raw*\n' }
+        ]
+    },
+    {
+        name: 'nested items of the modern profile',
+        input: convertTextToWhatsapp('- a\n  - b\n    1. x', { profile: 'modern' }),
+        expected: [
+            { type: 'item', ordered: false, marker: '-', depth: 0, children: [text('a')] },
+            { type: 'item', ordered: false, marker: '-', depth: 1, children: [text('b')] },
+            { type: 'item', ordered: true, marker: '1.', depth: 2, children: [text('x')] }
+        ]
+    },
+    {
+        name: 'quotes need a space after >',
+        input: '>no space\n> quoted',
+        expected: [
+            line(text('>no space')),
+            { type: 'quote', children: [text('quoted')] }
+        ]
+    }
+];
+
+for (const { name, input, expected } of previewCases) {
+    const actual = parseWhatsappFormatting(input);
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`❌ ${name}`);
+        console.log(`   --- Expected ---\n   ${JSON.stringify(expected)}`);
+        console.log(`   --- Actual ---\n   ${JSON.stringify(actual)}`);
+        failed++;
+    }
+}
+
+// =================================================================================================
+// CLI TESTS
+// =================================================================================================
+
+console.log('\n========== CLI TESTS ==========\n');
+
+/**
+ * Run bin/md2wa.js from the tests directory.
+ * The CLI loads marked with require(), so point it at tests/node_modules.
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} [input] - Text for stdin
+ * @returns {Object} spawnSync result
+ */
+function runCli(args, input) {
+    return spawnSync(process.execPath, [join(__dirname, '..', 'bin', 'md2wa.js'), ...args], {
+        cwd: __dirname,
+        input,
+        encoding: 'utf-8',
+        env: { ...process.env, NODE_PATH: join(__dirname, 'node_modules') }
+    });
+}
+
+const cliCases = [
+    {
+        name: 'check passes for up-to-date fixtures',
+        args: ['--check', '--out-dir', 'expected', 'inputs/basic.md', 'inputs/table_long.md'],
+        test: (res) => res.status === 0
+    },
+    {
+        name: 'check fails when options change the output',
+        args: ['--check', '--table-format', 'ascii', '-o', 'expected/table_long.txt', 'inputs/table_long.md'],
+        test: (res) => res.status === 1 && res.stdout.includes('differs: expected/table_long.txt')
+    },
+    {
+        name: 'stdin to stdout with conversion flags',
+        args: ['--header-emojis', 'none', '--link-style', 'text'],
+        input: '# Title\n\n[link](https://example.com)',
+        test: (res) => res.status === 0 && res.stdout === '*Title*\n\nlink\n'
+    },
+    {
+        name: 'invalid option value is rejected',
+        args: ['--table-format', 'grid'],
+        input: '',
+        test: (res) => res.status === 2 && res.stderr.includes('--table-format')
+    }
+];
+
+for (const { name, args, input, test } of cliCases) {
+    const res = runCli(args, input);
+    if (test(res)) {
+        console.log(`✅ ${name}`);
+        passed++;
+    } else {
+        console.log(`❌ ${name}`);
+        console.log(`   exit ${res.status}\n   ${(res.stdout + res.stderr).split('\n').join('\n   ')}`);
+        failed++;
+    }
+}
+
 console.log('\n========== SUMMARY ==========\n');
 console.log(`Total: ${passed + failed} tests`);
 console.log(`Passed: ${passed}`);